@@ -0,0 +1,32 @@
+/**
+ * Now-playing endpoint for the live widget (now-playing.js)
+ *
+ * A Node serverless function (Vercel/Netlify-style `(req, res)` handler)
+ * that asks Last.fm what's scrobbling right now. Deploy it anywhere with
+ * LASTFM_API_KEY set and point browser.nowPlayingEndpoint in site.json at
+ * it (then rebuild the pages); for local development,
+ * scripts/serve-now-playing.js serves the same handler.
+ *
+ * Response:
+ *   { "nowPlaying": true, "track": { title, artist, album, image, lastfmUrl }, "checkedAt": "..." }
+ *   { "nowPlaying": false, "track": null, "checkedAt": "..." }
+ */
+
+const { getNowPlaying } = require('../scripts/lib/lastfm');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Content-Type', 'application/json');
+  // Let a CDN absorb bursts of polling without going stale for long
+  res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=30');
+
+  try {
+    const track = await getNowPlaying();
+    res.statusCode = 200;
+    res.end(JSON.stringify({ nowPlaying: Boolean(track), track, checkedAt: new Date().toISOString() }));
+  } catch (e) {
+    console.error('Now playing lookup failed:', e.message);
+    res.statusCode = 502;
+    res.end(JSON.stringify({ error: 'Last.fm unavailable' }));
+  }
+};
@@ -0,0 +1,108 @@
+// Live "now playing" badge
+//
+// Renders into any element with [data-now-playing]. Polls the endpoint set
+// in site.json (browser.nowPlayingEndpoint, injected as window.SiteConfig)
+// or this script tag's data-endpoint (see api/now-playing.js); when
+// there is no endpoint or it can't be reached, falls back to the committed
+// data/listening.json, trusting its nowPlaying flag only while the file is
+// fresh so the page doesn't claim a song is playing hours later.
+//
+// Needs sanitize.js loaded first.
+(() => {
+  const POLL_INTERVAL_MS = 60 * 1000;
+  const FALLBACK_FRESH_MS = 15 * 60 * 1000;
+
+  const endpoint = document.currentScript?.dataset.endpoint || window.SiteConfig?.nowPlayingEndpoint || '';
+
+  async function fromEndpoint() {
+    const res = await fetch(endpoint, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`Now playing endpoint returned ${res.status}`);
+    const data = await res.json();
+    return data.nowPlaying ? data.track : null;
+  }
+
+  async function fromListeningJson() {
+    const res = await fetch('data/listening.json');
+    const data = await res.json();
+    const age = Date.now() - new Date(data.updated).getTime();
+    if (age > FALLBACK_FRESH_MS) return null;
+    return (data.tracks || []).find(track => track.nowPlaying) || null;
+  }
+
+  async function getTrack() {
+    if (endpoint) {
+      try {
+        return await fromEndpoint();
+      } catch (e) {
+        console.warn('Now playing endpoint unavailable, using listening.json:', e.message);
+      }
+    }
+    return fromListeningJson();
+  }
+
+  function render(containers, track) {
+    containers.forEach(container => {
+      if (!track) {
+        container.hidden = true;
+        container.innerHTML = '';
+        return;
+      }
+
+      const link = document.createElement('a');
+      link.className = 'now-playing-badge';
+      link.href = SiteSanitize.safeUrl(track.url) || SiteSanitize.safeUrl(track.lastfmUrl) || '#';
+      link.target = '_blank';
+      link.rel = 'noopener';
+
+      const bars = document.createElement('span');
+      bars.className = 'now-playing-bars';
+      bars.setAttribute('aria-hidden', 'true');
+      bars.innerHTML = '<span></span><span></span><span></span>';
+
+      const label = document.createElement('span');
+      label.className = 'now-playing-label';
+      label.textContent = 'Now playing';
+
+      const song = document.createElement('span');
+      song.className = 'now-playing-track';
+      song.textContent = `${track.title} — ${track.artist}`;
+
+      link.append(bars, label, song);
+      container.replaceChildren(link);
+      container.hidden = false;
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const containers = document.querySelectorAll('[data-now-playing]');
+    if (containers.length === 0) return;
+
+    let timer = null;
+
+    async function update() {
+      try {
+        render(containers, await getTrack());
+      } catch (e) {
+        console.error('Failed to load now playing:', e);
+      }
+    }
+
+    function start() {
+      update();
+      // Only the live endpoint changes between polls
+      if (endpoint && !timer) timer = setInterval(update, POLL_INTERVAL_MS);
+    }
+
+    function stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) stop();
+      else start();
+    });
+
+    start();
+  });
+})();
@@ -0,0 +1,477 @@
+// Shared renderers for the data-driven pages
+//
+// Used in the browser (window.SiteRender) by now.html, media.html,
+// writing.html and work.html to refresh content after load, and in Node by
+// scripts/build.js to pre-render the same markup into the HTML at build
+// time. Keep these functions pure: data in, HTML string out. Every field
+// from data/ goes through sanitize.js: text is escaped, URLs must be
+// http(s), post HTML is allowlisted.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./sanitize'));
+  } else {
+    root.SiteRender = factory(root.SiteSanitize);
+  }
+})(typeof self !== 'undefined' ? self : this, function ({ escapeHtml: esc, safeUrl, cssUrl, sanitizeHtml }) {
+  const RECENTLY_FINISHED_LIMIT = 6;
+
+  function formatLongDate(date) {
+    return new Date(date).toLocaleDateString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  }
+
+  // Most recent of several `updated` timestamps
+  function latestDate(...dates) {
+    return new Date(Math.max(...dates.filter(Boolean).map(d => new Date(d))));
+  }
+
+  // Bookmarks
+
+  function renderBookmarkItems(bookmarks) {
+    if (!bookmarks || bookmarks.length === 0) {
+      return '<li class="bookmark-item"><span class="empty-state">Nothing yet</span></li>';
+    }
+
+    return bookmarks.map(bookmark => {
+      const favicon = safeUrl(bookmark.favicon);
+      const icon = bookmark.emoji
+        ? esc(bookmark.emoji)
+        : (favicon ? `<img class="bookmark-favicon" src="${esc(favicon)}" alt="" loading="lazy" onerror="this.replaceWith('🔗')">` : '🔗');
+      return `
+        <li class="bookmark-item">
+          <span class="bookmark-date">${esc(bookmark.dateFormatted)}</span>
+          <span class="bookmark-emoji">${icon}</span>
+          <div class="bookmark-body">
+            <a href="${esc(safeUrl(bookmark.url))}" target="_blank" rel="noopener">${esc(bookmark.title)}</a>
+            ${bookmark.siteName ? `<span class="bookmark-site">${esc(bookmark.siteName)}</span>` : ''}
+            ${bookmark.note ? `<p class="bookmark-note">${esc(bookmark.note)}</p>` : ''}
+            ${!bookmark.note && bookmark.description ? `<p class="bookmark-description">${esc(bookmark.description)}</p>` : ''}
+            ${bookmark.tags && bookmark.tags.length ? `<span class="bookmark-tags">${bookmark.tags.map(tag => `<span class="bookmark-tag">#${esc(tag)}</span>`).join('')}</span>` : ''}
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  // Books
+
+  function splitBooks(books) {
+    books = books || [];
+    // Books saved before statuses existed count as currently reading
+    const reading = books.filter(book => (book.status || 'reading') === 'reading');
+    const finished = books
+      .filter(book => book.status === 'finished')
+      .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt))
+      .slice(0, RECENTLY_FINISHED_LIMIT);
+    return { reading, finished };
+  }
+
+  function renderBookCards(books) {
+    return books.map(book => {
+      const bookUrl = book.link || `https://www.goodreads.com/search?q=${encodeURIComponent(book.title + ' ' + book.author)}`;
+      return `
+        <a href="${esc(safeUrl(bookUrl))}" target="_blank" rel="noopener" class="media-card">
+          <div class="media-cover" style="background-image: url('${cssUrl(book.image)}')"></div>
+          <div class="media-info">
+            <span class="media-title">${esc(book.title)}</span>
+            <span class="media-artist">${esc(book.author)}</span>
+          </div>
+        </a>
+      `;
+    }).join('');
+  }
+
+  function renderReadingGrid(books) {
+    return books.length > 0 ? renderBookCards(books) : '<p class="empty-state">Nothing currently</p>';
+  }
+
+  function renderFinishedSection(books) {
+    return `
+    <section class="media-section" id="finished-section"${books.length > 0 ? '' : ' hidden'}>
+      <h2><em>Recently Finished</em></h2>
+      <div class="media-grid" id="finished-list">${renderBookCards(books)}</div>
+    </section>
+    `;
+  }
+
+  // Listening
+
+  function renderTrackCards(tracks) {
+    if (!tracks || tracks.length === 0) {
+      return '<p class="empty-state">Nothing recently</p>';
+    }
+
+    return tracks.map(track => `
+      <a href="${esc(safeUrl(track.url))}" target="_blank" rel="noopener" class="media-card">
+        <div class="media-cover" style="background-image: url('${cssUrl(track.image)}')"></div>
+        <div class="media-info">
+          <span class="media-title">${esc(track.title)}</span>
+          <span class="media-artist">${esc(track.artist)}</span>
+        </div>
+      </a>
+    `).join('');
+  }
+
+  function renderAlbumCards(albums) {
+    if (!albums || albums.length === 0) {
+      return '<p class="empty-state">Nothing yet</p>';
+    }
+
+    return albums.map(album => `
+      <a href="${esc(safeUrl(album.url))}" target="_blank" rel="noopener" class="media-card">
+        <div class="media-cover" style="background-image: url('${cssUrl(album.image)}')"></div>
+        <div class="media-info">
+          <span class="media-title">${esc(album.title)}</span>
+          <span class="media-artist">${esc(album.artist)} · ${esc(album.playcount)} plays</span>
+        </div>
+      </a>
+    `).join('');
+  }
+
+  function renderTopArtists(artists) {
+    const links = (artists || []).slice(0, 5).map(artist =>
+      `<a href="${esc(safeUrl(artist.url))}" target="_blank" rel="noopener">${esc(artist.name)}</a>`
+    );
+    return links.length > 0 ? `Top artists: ${links.join(', ')}` : '';
+  }
+
+  // Now
+  //
+  // data/microblog.json keeps every Now post, newest first. The page shows
+  // one snapshot at a time (the latest unless ?date= or #date picks an
+  // older one), an archive of the rest, and what changed in its lists
+  // since the snapshot before it.
+
+  // Snapshot ids for links: the post's own calendar date, with -2, -3...
+  // for older posts published the same day
+  function nowSnapshotIds(posts) {
+    const seen = {};
+    return (posts || []).map(post => {
+      const date = String(post.date).slice(0, 10);
+      seen[date] = (seen[date] || 0) + 1;
+      return seen[date] === 1 ? date : `${date}-${seen[date]}`;
+    });
+  }
+
+  // Index of the snapshot with this id; the latest if there's no match
+  function findNowSnapshot(posts, id) {
+    const index = id ? nowSnapshotIds(posts).indexOf(id) : -1;
+    return index === -1 ? 0 : index;
+  }
+
+  function nowHeading(posts, index = 0) {
+    if (!posts || !posts[index]) return '';
+    return `Now @ ${formatLongDate(posts[index].date)}`;
+  }
+
+  function renderNowPosts(posts) {
+    if (!posts || posts.length === 0) {
+      return '<p class="empty-state">Nothing yet</p>';
+    }
+
+    // Skip title since date is in header
+    return posts.map(post => `
+      <article class="microblog-post">
+        <div class="post-content">${sanitizeHtml(post.content)}</div>
+      </article>
+    `).join('');
+  }
+
+  function renderNowSnapshot(posts, index = 0) {
+    return renderNowPosts(posts && posts[index] ? [posts[index]] : []);
+  }
+
+  function renderNowArchive(posts, index = 0) {
+    if (!posts || posts.length < 2) return '';
+
+    const ids = nowSnapshotIds(posts);
+    const items = posts.map((post, i) => `
+        <li><a href="?date=${esc(ids[i])}"${i === index ? ' aria-current="page"' : ''}>${esc(formatLongDate(post.date))}</a>${i === 0 ? ' <span class="now-archive-latest">latest</span>' : ''}</li>`);
+
+    return `
+    <nav class="now-archive" aria-label="Previous Now snapshots">
+      <h2>Archive</h2>
+      <ol>${items.join('')}
+      </ol>
+    </nav>
+    `;
+  }
+
+  // List items of a post as [{ key, html }]: html keeps inline markup (links),
+  // key is the text used to compare items across snapshots. Nested lists
+  // count as items of their own.
+  function nowListItems(content) {
+    return sanitizeHtml(content)
+      .split(/<li>/i)
+      .slice(1)
+      .map(part => sanitizeHtml(part.split(/<\/li>|<[ou]l>/i)[0]).trim())
+      .map(html => ({ key: html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim().toLowerCase(), html }))
+      .filter(item => item.key);
+  }
+
+  // List items added and dropped between two snapshots
+  function diffNowPosts(current, previous) {
+    const currentItems = nowListItems(current.content);
+    const previousItems = nowListItems(previous.content);
+    const currentKeys = new Set(currentItems.map(item => item.key));
+    const previousKeys = new Set(previousItems.map(item => item.key));
+
+    return {
+      added: currentItems.filter(item => !previousKeys.has(item.key)).map(item => item.html),
+      removed: previousItems.filter(item => !currentKeys.has(item.key)).map(item => item.html)
+    };
+  }
+
+  function renderNowChanges(posts, index = 0) {
+    const current = posts && posts[index];
+    const previous = posts && posts[index + 1];
+    if (!current || !previous) return '';
+
+    const { added, removed } = diffNowPosts(current, previous);
+    const list = (title, items) => items.length > 0
+      ? `<h3>${title}</h3><ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`
+      : '';
+
+    return `
+    <details class="now-changes">
+      <summary>What changed since ${esc(formatLongDate(previous.date))}</summary>
+      ${added.length || removed.length ? list('New', added) + list('Gone', removed) : '<p class="empty-state">Same lists as last time</p>'}
+    </details>
+    `;
+  }
+
+  // Writing
+  //
+  // data/writing.json holds every post that isn't a Now post, newest first.
+  // writing.html lists them, filtered by ?tag= or ?year=; each post has its
+  // own page at writing/<slug>.html, generated by scripts/build.js.
+
+  function writingPostHref(post, root = '') {
+    return `${root}writing/${encodeURIComponent(post.slug)}.html`;
+  }
+
+  function postYear(post) {
+    return String(post.date).slice(0, 4);
+  }
+
+  function filterWriting(posts, { tag, year } = {}) {
+    return (posts || []).filter(post =>
+      (!tag || (post.tags || []).includes(tag)) && (!year || postYear(post) === String(year))
+    );
+  }
+
+  function renderWritingFilters(posts, { tag, year } = {}) {
+    posts = posts || [];
+    const years = [...new Set(posts.map(postYear))];
+    const tags = [...new Set(posts.flatMap(post => post.tags || []))].sort((a, b) => a.localeCompare(b));
+    if (years.length < 2 && tags.length === 0) return '';
+
+    const link = (href, label, active) =>
+      `<a href="${esc(href)}" class="writing-filter"${active ? ' aria-current="page"' : ''}>${esc(label)}</a>`;
+
+    return `
+      <nav class="writing-filters" aria-label="Filter posts">
+        ${link('?', 'All', !tag && !year)}
+        ${years.map(y => link(`?year=${y}`, y, y === String(year))).join('')}
+        ${tags.map(t => link(`?tag=${encodeURIComponent(t)}`, `#${t}`, t === tag)).join('')}
+      </nav>
+    `;
+  }
+
+  function renderWritingList(posts) {
+    if (!posts || posts.length === 0) {
+      return '<p class="loading">No posts yet</p>';
+    }
+
+    // Grouped under a heading per year, in the order posts arrive
+    const years = [];
+    for (const post of posts) {
+      const year = postYear(post);
+      if (years.length === 0 || years[years.length - 1].year !== year) years.push({ year, posts: [] });
+      years[years.length - 1].posts.push(post);
+    }
+
+    return years.map(({ year, posts }) => `
+      <h2 class="posts-year">${esc(year)}</h2>
+      ${posts.map(post => `
+        <a href="${esc(writingPostHref(post))}" class="post-item">
+          <span class="post-date">${esc(new Date(post.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }))}</span>
+          <span class="post-title">${esc(post.title)}</span>
+        </a>
+      `).join('')}
+    `).join('');
+  }
+
+  // The article on a post's own page; root is the path back to the site root
+  function renderWritingPost(post, root = '') {
+    const tags = (post.tags || []).map(tag =>
+      `<a href="${esc(`${root}writing.html?tag=${encodeURIComponent(tag)}`)}" class="writing-filter">#${esc(tag)}</a>`
+    );
+    const original = safeUrl(post.url);
+
+    return `
+    <article class="writing-post">
+      <p class="post-meta"><a href="${esc(root)}writing.html">Writing</a> · <time datetime="${esc(post.date)}">${esc(formatLongDate(post.date))}</time></p>
+      <h1>${esc(post.title)}</h1>
+      <div class="post-body">${sanitizeHtml(post.content)}</div>
+      <footer class="post-footer">
+        ${tags.join(' ')}
+        ${original ? `<a href="${esc(original)}" class="post-original" rel="noopener">Also on micro.blog</a>` : ''}
+      </footer>
+    </article>
+    `;
+  }
+
+  // Work
+  //
+  // data/work.json is edited by hand: one entry per role with a Markdown
+  // description and an images gallery. work.html renders the carousel
+  // cards from it and opens a role's details from its hash (work.html#atomic).
+
+  // Markdown for the hand-written descriptions: paragraphs, "- " lists,
+  // **bold**, *italic*, `code` and [links](https://...). Everything else is
+  // escaped as text.
+  function renderInlineMarkdown(text) {
+    return esc(text)
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        const href = safeUrl(url);
+        return href ? `<a href="${href}" target="_blank" rel="noopener">${label}</a>` : label;
+      });
+  }
+
+  function renderMarkdown(text) {
+    const blocks = [];
+    for (const line of String(text || '').split('\n')) {
+      const item = line.match(/^\s*[-*]\s+(.*)$/);
+      const last = blocks[blocks.length - 1];
+      if (!line.trim()) {
+        blocks.push(null);
+      } else if (item) {
+        if (last && last.list) last.lines.push(item[1]);
+        else blocks.push({ list: true, lines: [item[1]] });
+      } else if (last && !last.list) {
+        last.lines.push(line.trim());
+      } else {
+        blocks.push({ list: false, lines: [line.trim()] });
+      }
+    }
+
+    return blocks.filter(Boolean).map(block => block.list
+      ? `<ul>${block.lines.map(line => `<li>${renderInlineMarkdown(line)}</li>`).join('')}</ul>`
+      : `<p>${renderInlineMarkdown(block.lines.join(' '))}</p>`
+    ).join('\n');
+  }
+
+  // "2024" or "2024-03" → "2024" or "Mar 2024"
+  function formatWorkDate(date) {
+    if (!date) return 'Present';
+    const [year, month] = String(date).split('-');
+    if (!month) return year;
+    return new Date(Date.UTC(Number(year), Number(month) - 1, 1)).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  function workDates(role) {
+    return `${formatWorkDate(role.start)} - ${formatWorkDate(role.end)}`;
+  }
+
+  function workBackground(role) {
+    const [from, to] = role.colors || ['#f5f5f5', '#e0e0e0'];
+    return `linear-gradient(135deg, ${from} 0%, ${to || from} 100%)`.replace(/[^#\w\s(),.%-]/g, '');
+  }
+
+  function renderWorkCards(roles) {
+    if (!roles || roles.length === 0) {
+      return '<p class="empty-state">Nothing yet</p>';
+    }
+
+    return roles.map(role => {
+      const cover = role.images && role.images[0];
+      const image = cover && safeUrl(cover.src)
+        ? `<img src="${esc(safeUrl(cover.src))}" alt="${esc(cover.alt)}" loading="lazy">`
+        : '<span class="placeholder-text">Team Photo</span>';
+      return `
+        <a class="carousel-card" href="#${esc(role.id)}" data-work="${esc(role.id)}">
+          <div class="card-image" style="background: ${esc(workBackground(role))};">
+            ${image}
+          </div>
+          <div class="card-overlay">
+            <h2>${esc(role.company)}</h2>
+            <span class="card-role">${esc(role.role)}</span>
+            <span class="card-date">${esc(workDates(role))}</span>
+          </div>
+        </a>
+      `;
+    }).join('');
+  }
+
+  function renderWorkGallery(role) {
+    const images = (role.images || []).filter(image => safeUrl(image.src));
+    if (images.length === 0) return '';
+
+    return `
+      <div class="modal-images-row modal-gallery">
+        ${images.map(image => `
+          <figure>
+            <a href="${esc(safeUrl(image.src))}" target="_blank" rel="noopener"><img src="${esc(safeUrl(image.src))}" alt="${esc(image.alt)}" loading="lazy"></a>
+            ${image.caption ? `<figcaption>${esc(image.caption)}</figcaption>` : ''}
+          </figure>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Everything inside the modal but its close button
+  function renderWorkDetails(role) {
+    const link = safeUrl(role.link);
+    return `
+      ${renderWorkGallery(role)}
+      <div class="modal-body">
+        <div class="modal-left">
+          <h2 class="modal-title">${esc(role.company)}</h2>
+          ${link ? `<a class="modal-link" href="${esc(link)}" target="_blank" rel="noopener">${esc(link.replace(/^https?:\/\//, ''))} ↗</a>` : ''}
+          <div class="modal-skills">${(role.skills || []).map(skill => `<span class="skill-pill">${esc(skill)}</span>`).join('')}</div>
+        </div>
+        <div class="modal-right">
+          <p class="modal-tagline">${esc(role.role)} • ${esc(workDates(role))}</p>
+          <div class="modal-description">${renderMarkdown(role.description)}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  return {
+    formatLongDate,
+    latestDate,
+    renderBookmarkItems,
+    splitBooks,
+    renderBookCards,
+    renderReadingGrid,
+    renderFinishedSection,
+    renderTrackCards,
+    renderAlbumCards,
+    renderTopArtists,
+    nowSnapshotIds,
+    findNowSnapshot,
+    nowHeading,
+    renderNowPosts,
+    renderNowSnapshot,
+    renderNowArchive,
+    diffNowPosts,
+    renderNowChanges,
+    writingPostHref,
+    filterWriting,
+    renderWritingFilters,
+    renderWritingList,
+    renderWritingPost,
+    renderMarkdown,
+    workDates,
+    renderWorkCards,
+    renderWorkDetails
+  };
+});
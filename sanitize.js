@@ -0,0 +1,194 @@
+// HTML escaping and sanitizing for anything rendered from data files or
+// remote feeds
+//
+// Used in the browser (window.SiteSanitize) by render.js and the pages, and
+// in Node by the fetch scripts before they write data/*.json.
+//
+//   escapeHtml(text)   plain text → safe to put in markup or attributes
+//   safeUrl(url)       http(s) or relative URL, or '' for anything else
+//                      (javascript:, data:, vbscript:, ...)
+//   cssUrl(url)        safeUrl() made safe inside style="...url('...')"
+//   sanitizeHtml(html) post HTML reduced to an allowlist of tags/attributes
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.SiteSanitize = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const ALLOWED_TAGS = {
+    a: ['href', 'title'],
+    abbr: ['title'],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: [],
+    del: [],
+    em: [],
+    figcaption: [],
+    figure: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt', 'width', 'height'],
+    li: [],
+    ol: [],
+    p: [],
+    pre: [],
+    s: [],
+    span: [],
+    strong: [],
+    sub: [],
+    sup: [],
+    u: [],
+    ul: []
+  };
+
+  const URL_ATTRIBUTES = ['href', 'src'];
+  const VOID_TAGS = ['br', 'hr', 'img'];
+
+  // Opening one of these implicitly closes an open <p>, as browsers do
+  const BLOCK_TAGS = ['blockquote', 'figure', 'h2', 'h3', 'h4', 'hr', 'ol', 'p', 'pre', 'ul'];
+
+  // Tags whose content is dropped along with the tag
+  const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math'];
+
+  function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function safeUrl(url) {
+    if (!url) return '';
+    const trimmed = String(url).trim();
+    // Strip control characters and whitespace browsers ignore inside schemes
+    const scheme = trimmed.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme) {
+      return ['http', 'https'].includes(scheme[1].toLowerCase()) ? trimmed : '';
+    }
+    // Relative URLs (images/..., data/...) and protocol-relative ones
+    return trimmed;
+  }
+
+  function cssUrl(url) {
+    // encodeURIComponent leaves ' ( ) alone, so percent-encode by hand
+    return escapeHtml(safeUrl(url).replace(/[()'"\\\s]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')));
+  }
+
+  function parseAttributes(source) {
+    const attrs = [];
+    const attrRegex = /([a-z_:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/gi;
+    let match;
+    while ((match = attrRegex.exec(source)) !== null) {
+      attrs.push([match[1].toLowerCase(), match[2] ?? match[3] ?? match[4] ?? '']);
+    }
+    return attrs;
+  }
+
+  function fromCodePoint(point) {
+    try {
+      return String.fromCodePoint(point);
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function decodeAttribute(value) {
+    return value
+      .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);?/g, (m, dec) => fromCodePoint(parseInt(dec, 10)))
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  function renderTag(name, attrSource) {
+    const allowed = ALLOWED_TAGS[name];
+    const attrs = [];
+
+    for (const [attr, rawValue] of parseAttributes(attrSource)) {
+      if (!allowed.includes(attr)) continue;
+      let value = decodeAttribute(rawValue);
+      if (URL_ATTRIBUTES.includes(attr)) {
+        value = safeUrl(value);
+        if (!value) continue;
+      }
+      attrs.push(`${attr}="${escapeHtml(value)}"`);
+    }
+
+    if (name === 'a' && attrs.some(a => a.startsWith('href='))) {
+      attrs.push('rel="noopener"');
+    }
+
+    return `<${name}${attrs.length ? ' ' + attrs.join(' ') : ''}>`;
+  }
+
+  function sanitizeHtml(html) {
+    if (!html) return '';
+
+    const tokenRegex = /<!--[\s\S]*?-->|<(\/?)([a-z][a-z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+    const open = [];
+    let output = '';
+    let dropping = null;
+    let lastIndex = 0;
+    let match;
+
+    const text = chunk => chunk.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    while ((match = tokenRegex.exec(html)) !== null) {
+      if (!dropping) output += text(html.slice(lastIndex, match.index));
+      lastIndex = tokenRegex.lastIndex;
+
+      const [, closing, rawName, attrSource] = match;
+      if (!rawName) continue; // comment
+
+      const name = rawName.toLowerCase();
+
+      if (dropping) {
+        if (closing && name === dropping) dropping = null;
+        continue;
+      }
+
+      if (DROP_WITH_CONTENT.includes(name)) {
+        if (!closing && !/\/\s*$/.test(attrSource)) dropping = name;
+        continue;
+      }
+
+      if (!ALLOWED_TAGS[name]) continue;
+
+      if (closing) {
+        const index = open.lastIndexOf(name);
+        if (index === -1) continue;
+        // Close anything left open inside this element
+        while (open.length > index) output += `</${open.pop()}>`;
+      } else {
+        if (BLOCK_TAGS.includes(name) && open[open.length - 1] === 'p') {
+          output += `</${open.pop()}>`;
+        }
+        // A new <li> ends the previous one
+        if (name === 'li' && open[open.length - 1] === 'li') {
+          output += `</${open.pop()}>`;
+        }
+        output += renderTag(name, attrSource);
+        if (!VOID_TAGS.includes(name)) open.push(name);
+      }
+    }
+
+    if (!dropping) output += text(html.slice(lastIndex));
+    while (open.length) output += `</${open.pop()}>`;
+
+    return output;
+  }
+
+  return { escapeHtml, safeUrl, cssUrl, sanitizeHtml };
+});
@@ -0,0 +1,202 @@
+/**
+ * Pre-render the site shell and data/*.json into the HTML pages
+ *
+ * Pages mark generated regions with `<!-- render:name -->...<!-- /render:name -->`
+ * comments:
+ *   - head, nav: the shared shell from site.json (see lib/shell.js)
+ *   - data regions in now.html, media.html, writing.html and work.html,
+ *     filled using the same renderers the pages use client-side
+ *     (render.js), so crawlers and link previews see real content and the
+ *     in-page fetch() only refreshes it. data/work.json is edited by hand,
+ *     so it's checked against its schema first.
+ *
+ * It also generates a page per post in data/writing.json at
+ * writing/<slug>.html, and the Atom and JSON feeds in site.json at
+ * feeds/<name>.xml and .json (see lib/syndication.js). Those are build
+ * output (see .gitignore): both directories are emptied and rewritten on
+ * every full build.
+ *
+ * Pages are rewritten in place and the markers are kept, so the build can
+ * run repeatedly. deploy.yml runs the full build before uploading the site.
+ * After editing site.json, regenerate and commit just the shell with:
+ *
+ *   node scripts/build.js --shell
+ */
+
+const fs = require('fs');
+const path = require('path');
+const render = require('../render');
+const { loadSite } = require('./lib/site');
+const { rootPath, renderHead, renderNav } = require('./lib/shell');
+const { feedItems, toAtom, toJsonFeed } = require('./lib/syndication');
+const { validateDataFile } = require('./lib/data-file');
+
+const ROOT = path.join(__dirname, '..');
+const WRITING_DIR = path.join(ROOT, 'writing');
+const FEEDS_DIR = path.join(ROOT, 'feeds');
+
+function readData(name) {
+  const file = path.join(ROOT, 'data', `${name}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.log(`Could not read data/${name}.json:`, e.message);
+    return {};
+  }
+}
+
+// Data region contents per page, keyed by marker name
+const DATA_REGIONS = {
+  'media.html': () => {
+    const bookmarks = readData('bookmarks');
+    const reading = readData('reading');
+    const listening = readData('listening');
+    const { reading: current, finished } = render.splitBooks(reading.books);
+
+    return {
+      'last-updated': render.formatLongDate(render.latestDate(reading.updated, listening.updated, bookmarks.updated)),
+      'bookmarks': render.renderBookmarkItems(bookmarks.bookmarks),
+      'reading': render.renderReadingGrid(current),
+      'finished': render.renderFinishedSection(finished),
+      'listening': render.renderTrackCards(listening.tracks)
+    };
+  },
+
+  'now.html': () => {
+    // The latest snapshot; older ones are rendered client-side from ?date=
+    const microblog = readData('microblog');
+    return {
+      'now-heading': render.nowHeading(microblog.posts),
+      'now-changes': render.renderNowChanges(microblog.posts),
+      'now-posts': render.renderNowSnapshot(microblog.posts),
+      'now-archive': render.renderNowArchive(microblog.posts)
+    };
+  },
+
+  'work.html': () => {
+    const work = readData('work');
+    const errors = validateDataFile('work', work);
+    if (errors.length > 0) {
+      throw new Error(`data/work.json doesn't match work.schema.json:\n  ${errors.join('\n  ')}`);
+    }
+    return {
+      'work-cards': render.renderWorkCards(work.roles)
+    };
+  },
+
+  'writing.html': () => {
+    const writing = readData('writing');
+    return {
+      'writing-filters': render.renderWritingFilters(writing.posts),
+      'writing-posts': render.renderWritingList(writing.posts)
+    };
+  }
+};
+
+function fillRegions(html, regions) {
+  for (const [name, content] of Object.entries(regions)) {
+    const pattern = new RegExp(`(<!-- render:${name} -->)[\\s\\S]*?(<!-- /render:${name} -->)`);
+    if (!pattern.test(html)) {
+      console.log(`  Missing render:${name} region, skipping`);
+      continue;
+    }
+    // Function replacer so "$" in content isn't treated as a pattern
+    html = html.replace(pattern, (match, open, close) => `${open}${content}${close}`);
+  }
+  return html;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', nbsp: ' ', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', ndash: '–', mdash: '—', hellip: '…' };
+
+// Plain-text summary of a post for its meta description
+function summarize(html, length = 160) {
+  const text = html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+    .replace(/&([a-z]+);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m)
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > length ? `${text.slice(0, length - 1).replace(/\s+\S*$/, '')}…` : text;
+}
+
+function renderPostPage(site, post) {
+  const page = `writing/${post.slug}.html`;
+  const meta = { title: post.title, description: summarize(post.content), type: 'article' };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <!-- render:head -->${renderHead(site, page, meta)}<!-- /render:head -->
+</head>
+<body>
+  <!-- Pill Navigation -->
+  <!-- render:nav -->${renderNav(site, page)}<!-- /render:nav -->
+
+  <main class="writing-page">${render.renderWritingPost(post, rootPath(page))}</main>
+
+  <footer>
+    <p>Built with intention</p>
+  </footer>
+</body>
+</html>
+`;
+}
+
+function buildPostPages(site) {
+  const { posts = [] } = readData('writing');
+
+  fs.rmSync(WRITING_DIR, { recursive: true, force: true });
+  fs.mkdirSync(WRITING_DIR, { recursive: true });
+  for (const post of posts) {
+    fs.writeFileSync(path.join(WRITING_DIR, `${post.slug}.html`), renderPostPage(site, post));
+  }
+  console.log(`Rendered ${posts.length} post pages in writing/`);
+}
+
+function buildFeeds(site) {
+  const data = {
+    microblog: readData('microblog'),
+    writing: readData('writing'),
+    bookmarks: readData('bookmarks'),
+    reading: readData('reading'),
+    listening: readData('listening')
+  };
+
+  fs.rmSync(FEEDS_DIR, { recursive: true, force: true });
+  fs.mkdirSync(FEEDS_DIR, { recursive: true });
+  for (const name of Object.keys(site.feeds)) {
+    const items = feedItems(site, name, data);
+    fs.writeFileSync(path.join(FEEDS_DIR, `${name}.xml`), toAtom(site, name, items));
+    fs.writeFileSync(path.join(FEEDS_DIR, `${name}.json`), toJsonFeed(site, name, items));
+    console.log(`Rendered feeds/${name}.xml and .json (${items.length} items)`);
+  }
+}
+
+function build() {
+  const site = loadSite();
+  const shellOnly = process.argv.includes('--shell');
+
+  for (const page of Object.keys(site.pages)) {
+    const file = path.join(ROOT, page);
+    let html = fs.readFileSync(file, 'utf8');
+
+    html = fillRegions(html, {
+      'head': renderHead(site, page),
+      'nav': renderNav(site, page)
+    });
+
+    if (!shellOnly && DATA_REGIONS[page]) {
+      html = fillRegions(html, DATA_REGIONS[page]());
+    }
+
+    fs.writeFileSync(file, html);
+    console.log(`Rendered ${page}`);
+  }
+
+  if (!shellOnly) {
+    buildPostPages(site);
+    buildFeeds(site);
+  }
+}
+
+build();
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Feed runner: one entry point for every fetch and sync job
+ *
+ *   node scripts/feeds.js fetch <bookmarks|reading|listening|microblog|all>
+ *   node scripts/feeds.js sync microblog
+ *
+ * Options:
+ *   --only a,b   limit the run to some sources, e.g.
+ *                `fetch all --only reading,listening` or
+ *                `sync microblog --only books`
+ *   --dry-run    fetch and report, but write no files and post nothing
+ *   --force      allow an empty result to replace a populated data file
+ *                (see lib/data-file.js)
+ *   --fixtures[=dir]
+ *                answer every API call from recorded responses in
+ *                scripts/fixtures/ (or dir) instead of the network; see
+ *                lib/fixtures.js. Set FEEDS_DATA_DIR to keep the output
+ *                out of data/.
+ *
+ * Flags each job already understands (--full, --refresh, --reconcile,
+ * --retry-failed) are passed through. Every selected source runs even if an
+ * earlier one fails; the summary at the end lists what each changed.
+ *
+ * Exit codes: 0 all sources succeeded, 1 at least one failed, 2 bad usage.
+ */
+
+const path = require('path');
+const { takeWrites } = require('./lib/data-file');
+const { useFixtures } = require('./lib/fixtures');
+
+// Run in this order for `fetch all`
+const JOBS = {
+  fetch: {
+    reading: () => require('./fetch-reading').fetchReading(),
+    listening: () => require('./fetch-listening').fetchListening(),
+    bookmarks: () => require('./fetch-bookmarks').fetchBookmarks(),
+    microblog: () => require('./fetch-microblog').fetchMicroblog()
+  },
+  sync: {
+    microblog: {
+      bookmarks: () => require('./sync-bookmarks-to-microblog').syncBookmarks(),
+      books: () => require('./sync-books-to-microblog').syncBooks()
+    }
+  }
+};
+
+const USAGE = `Usage:
+  node scripts/feeds.js fetch <${Object.keys(JOBS.fetch).join('|')}|all> [--only a,b] [--dry-run]
+  node scripts/feeds.js sync microblog [--only bookmarks,books] [--dry-run]`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const positional = [];
+  let only = null;
+  let fixtures = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--fixtures') {
+      fixtures = true;
+    } else if (arg.startsWith('--fixtures=')) {
+      fixtures = arg.slice('--fixtures='.length);
+    } else if (arg === '--only') {
+      only = argv[++i];
+    } else if (arg.startsWith('--only=')) {
+      only = arg.slice('--only='.length);
+    } else if (!arg.startsWith('--')) {
+      positional.push(arg);
+    }
+  }
+
+  if (only !== null && !only) throw new UsageError('--only needs a list of sources');
+
+  const [command, target] = positional;
+  return { command, target, fixtures, only: only ? only.split(',').map(s => s.trim()) : null };
+}
+
+// Returns [{ name, run }] for the sources selected by the arguments
+function selectJobs({ command, target, only }) {
+  const group = JOBS[command];
+  if (!group) throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command');
+  if (!target) throw new UsageError(`Missing source for "${command}"`);
+
+  let jobs;
+  if (command === 'fetch') {
+    if (target !== 'all' && !group[target]) throw new UsageError(`Unknown source "${target}"`);
+    const names = target === 'all' ? Object.keys(group) : [target];
+    jobs = names.map(name => ({ name: `fetch ${name}`, key: name, run: group[name] }));
+  } else {
+    if (!group[target]) throw new UsageError(`Unknown sync target "${target}"`);
+    jobs = Object.entries(group[target]).map(([name, run]) => ({ name: `sync ${target} ${name}`, key: name, run }));
+  }
+
+  if (only) {
+    const unknown = only.filter(name => !jobs.some(job => job.key === name));
+    if (unknown.length > 0) throw new UsageError(`--only: unknown source ${unknown.join(', ')}`);
+    jobs = jobs.filter(job => only.includes(job.key));
+  }
+
+  return jobs;
+}
+
+async function runJobs(jobs) {
+  const results = [];
+
+  for (const job of jobs) {
+    console.log(`\n== ${job.name}`);
+    try {
+      const summary = await job.run();
+      results.push({ name: job.name, ok: true, summary: summary || 'done', files: takeWrites() });
+    } catch (e) {
+      console.error(`${job.name} failed:`, e.message);
+      results.push({ name: job.name, ok: false, summary: e.message.split('\n')[0], files: takeWrites() });
+    }
+  }
+
+  return results;
+}
+
+function printSummary(results, dryRun) {
+  const width = Math.max(...results.map(r => r.name.length));
+  console.log(`\nSummary${dryRun ? ' (dry run, nothing written)' : ''}:`);
+  for (const result of results) {
+    const status = result.ok ? 'ok    ' : 'FAILED';
+    console.log(`  ${status} ${result.name.padEnd(width)}  ${result.summary}`);
+    for (const file of [...new Set(result.files)]) {
+      console.log(`         ${' '.repeat(width)}  ${dryRun ? 'would write' : 'wrote'} ${file}`);
+    }
+  }
+}
+
+async function main() {
+  let args;
+  let jobs;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    jobs = selectJobs(args);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  // Before any job module loads, since they read process.env at load
+  if (args.fixtures) {
+    useFixtures(args.fixtures === true ? undefined : path.resolve(args.fixtures));
+  }
+
+  const results = await runJobs(jobs);
+  printSummary(results, process.argv.includes('--dry-run'));
+
+  if (results.some(result => !result.ok)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exitCode = 1;
+});
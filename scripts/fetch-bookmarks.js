@@ -1,5 +1,18 @@
 /**
  * Fetch bookmarks from a Slack channel
+ * Run with: node scripts/feeds.js fetch bookmarks
+ *
+ * New links are merged into the archive in data/bookmarks/<year>.json
+ * (see lib/bookmark-archive.js); data/bookmarks.json holds the recent slice.
+ * Pass --full to re-read the whole channel instead of only newer messages.
+ * Page metadata is cached in data/cache/; pass --refresh (or --refresh=<url>)
+ * to fetch it again.
+ * Output is checked against scripts/schemas/ before it's written, and an
+ * empty result never replaces a populated file unless you pass --force
+ * (see lib/data-file.js).
+ *
+ * Text posted alongside a link is kept: a leading emoji, #hashtags and the
+ * rest as a note (see lib/bookmark-message.js).
  *
  * Setup:
  * 1. Create a Slack app at https://api.slack.com/apps
@@ -11,74 +24,58 @@
  *    - SLACK_CHANNEL_ID (right-click channel > View channel details > copy ID at bottom)
  */
 
-const fs = require('fs');
-const path = require('path');
+const { fetchSlackMessages } = require('./lib/slack');
+const { parseBookmarkMessage } = require('./lib/bookmark-message');
+const { decodeEntities, fetchLinkMetadata } = require('./lib/link-metadata');
+const { canonicalizeUrl } = require('./lib/urls');
+const { safeUrl } = require('../sanitize');
+const { uniqueBookmarks, hasBookmark, loadArchive, mergeBookmarks, latestTs, saveArchive } = require('./lib/bookmark-archive');
 
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 const SLACK_CHANNEL_ID = process.env.SLACK_CHANNEL_ID;
 
-async function fetchSlackMessages() {
-  const response = await fetch(`https://slack.com/api/conversations.history?channel=${SLACK_CHANNEL_ID}&limit=50`, {
-    headers: {
-      'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/json'
-    }
-  });
-
-  const data = await response.json();
-
-  if (!data.ok) {
-    console.error('Slack API error:', data.error);
-    return [];
-  }
-
-  return data.messages || [];
-}
-
-async function fetchPageTitle(url) {
-  try {
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; BookmarkBot/1.0)' },
-      timeout: 5000
-    });
-    const html = await response.text();
-    const match = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-    if (match) {
-      return match[1].trim().replace(/\s+/g, ' ');
-    }
-  } catch (e) {
-    console.log(`Could not fetch title for ${url}:`, e.message);
-  }
-  return null;
-}
-
-async function extractBookmarks(messages) {
+async function extractBookmarks(messages, archive = new Map()) {
   const bookmarks = [];
 
-  // URL regex
-  const urlRegex = /<(https?:\/\/[^>|]+)(?:\|([^>]+))?>/g;
-
   for (const msg of messages) {
     const text = msg.text || '';
     const timestamp = new Date(parseFloat(msg.ts) * 1000);
+    const { links, note, tags, emoji } = parseBookmarkMessage(text);
+
+    for (const link of links) {
+      const url = link.url;
+      let title = link.label; // Slack sometimes includes title after |
 
-    let match;
-    while ((match = urlRegex.exec(text)) !== null) {
-      const url = match[1];
-      let title = match[2]; // Slack sometimes includes title after |
+      // Skip Slack internal links and anything that isn't http(s) (mailto:, etc.)
+      if (url.includes('slack.com') || !safeUrl(url)) continue;
 
-      // Skip Slack internal links
-      if (url.includes('slack.com')) continue;
+      // Already archived: keep the title and date resolved on an earlier run
+      if (hasBookmark(archive, url)) continue;
 
-      // Fetch actual page title if Slack didn't provide one
+      // Fetch page metadata; the page title is only used if Slack didn't provide one
+      console.log(`Fetching metadata for: ${url}`);
+      const metadata = await fetchLinkMetadata(url) || {};
       if (!title || title === url) {
-        console.log(`Fetching title for: ${url}`);
-        title = await fetchPageTitle(url) || url;
+        title = metadata.title || url;
+      } else {
+        title = decodeEntities(title);
       }
 
+      // The page may declare a canonical link we've already archived
+      if (hasBookmark(archive, url, metadata.canonicalUrl)) continue;
+
       bookmarks.push({
         url,
         title,
+        description: metadata.description || null,
+        image: metadata.image || null,
+        siteName: metadata.siteName || null,
+        canonicalUrl: metadata.canonicalUrl || null,
+        favicon: metadata.favicon || null,
+        note,
+        tags,
+        emoji,
+        ts: msg.ts,
         date: timestamp.toISOString(),
         dateFormatted: timestamp.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
       });
@@ -88,51 +85,36 @@ async function extractBookmarks(messages) {
   // Sort by date, newest first
   bookmarks.sort((a, b) => new Date(b.date) - new Date(a.date));
 
-  // Remove duplicates by URL
+  // Remove duplicates by canonical URL
   const seen = new Set();
   return bookmarks.filter(b => {
-    if (seen.has(b.url)) return false;
-    seen.add(b.url);
+    const key = canonicalizeUrl(b.url);
+    if (seen.has(key)) return false;
+    seen.add(key);
     return true;
   });
 }
 
-async function main() {
+async function fetchBookmarks() {
   if (!SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID) {
-    console.error('Missing SLACK_BOT_TOKEN or SLACK_CHANNEL_ID environment variables');
-    console.log('\nTo test with sample data, run with --sample flag');
-
-    if (process.argv.includes('--sample')) {
-      const sampleData = {
-        updated: new Date().toISOString(),
-        bookmarks: [
-          { url: 'https://example.com/article-1', title: 'Sample Article 1', date: new Date().toISOString(), dateFormatted: 'Jan 30' },
-          { url: 'https://example.com/article-2', title: 'Sample Article 2', date: new Date(Date.now() - 86400000).toISOString(), dateFormatted: 'Jan 29' }
-        ]
-      };
-
-      const outputPath = path.join(__dirname, '..', 'data', 'bookmarks.json');
-      fs.writeFileSync(outputPath, JSON.stringify(sampleData, null, 2));
-      console.log('Sample data written to data/bookmarks.json');
-    }
-    return;
+    throw new Error('Missing SLACK_BOT_TOKEN or SLACK_CHANNEL_ID environment variables (run with --fixtures to use recorded responses)');
   }
 
-  console.log('Fetching messages from Slack...');
-  const messages = await fetchSlackMessages();
-  console.log(`Found ${messages.length} messages`);
+  const archive = loadArchive();
+  console.log(`Archive has ${uniqueBookmarks(archive).length} bookmarks`);
 
-  const bookmarks = await extractBookmarks(messages);
-  console.log(`Extracted ${bookmarks.length} bookmarks`);
+  const oldest = process.argv.includes('--full') ? null : latestTs(archive);
+
+  console.log(oldest ? `Fetching messages from Slack since ${oldest}...` : 'Fetching messages from Slack...');
+  const messages = await fetchSlackMessages(SLACK_CHANNEL_ID, { oldest });
+  console.log(`Found ${messages.length} messages`);
 
-  const output = {
-    updated: new Date().toISOString(),
-    bookmarks
-  };
+  const bookmarks = await extractBookmarks(messages, archive);
+  const added = mergeBookmarks(archive, bookmarks);
+  console.log(`Added ${added.length} new bookmarks`);
 
-  const outputPath = path.join(__dirname, '..', 'data', 'bookmarks.json');
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-  console.log(`Written to ${outputPath}`);
+  const total = saveArchive(archive);
+  return `${added.length} new bookmarks, ${total} archived`;
 }
 
-main().catch(console.error);
+module.exports = { fetchBookmarks, extractBookmarks };
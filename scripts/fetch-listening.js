@@ -1,46 +1,184 @@
+/**
+ * Fetch listening data from Last.fm
+ * Run with: node scripts/feeds.js fetch listening
+ *
+ * Writes data/listening.json with:
+ *   - tracks: the most recent scrobbles, linked to the song itself where
+ *     lib/track-links.js can find it
+ *   - top.week / top.month: top artists and albums for the last 7 days / month
+ *
+ * and keeps a rolling history in data/listening-history.json: every
+ * scrobble since the last run (paged from the newest one already recorded,
+ * up to HISTORY_SCROBBLE_LIMIT) plus one snapshot of top artists/albums
+ * per Last.fm chart week (from user.getWeeklyChartList), so older weeks
+ * survive after Last.fm's rolling periods move on.
+ */
+
 const fs = require('fs');
 const path = require('path');
+const { lastfm, largeImage } = require('./lib/lastfm');
+const { resolveTrackLink } = require('./lib/track-links');
+const { DATA_DIR, writeJson, writeDataFile } = require('./lib/data-file');
+const { safeUrl } = require('../sanitize');
 
-const LASTFM_API_KEY = process.env.LASTFM_API_KEY || '8b61de3f5eb035dd820b09c27fc7f129';
-const LASTFM_USER = 'sophiealu';
 const LIMIT = 10;
+const TOP_LIMIT = 10;
+const HISTORY_SCROBBLE_LIMIT = 1000;
+const HISTORY_PAGE_SIZE = 200;
+const HISTORY_WEEK_LIMIT = 52;
 
-async function fetchListening() {
-  console.log('Fetching Last.fm recent tracks...');
+const OUTPUT_PATH = path.join(DATA_DIR, 'listening.json');
+const HISTORY_PATH = path.join(DATA_DIR, 'listening-history.json');
 
-  const url = `https://ws.audioscrobbler.com/2.0/?method=user.getrecenttracks&user=${LASTFM_USER}&api_key=${LASTFM_API_KEY}&format=json&limit=${LIMIT}`;
+// URLs go through safeUrl() before they're written; one that isn't http(s)
+// is left out of the file (undefined) rather than stored
+function toArtist(artist) {
+  return {
+    name: artist.name,
+    playcount: parseInt(artist.playcount, 10) || 0,
+    url: safeUrl(artist.url) || undefined
+  };
+}
 
-  const response = await fetch(url, {
-    headers: { 'User-Agent': 'SophiePortfolio/1.0' }
-  });
+function toAlbum(album) {
+  return {
+    title: album.name,
+    artist: album.artist?.name || album.artist?.['#text'],
+    playcount: parseInt(album.playcount, 10) || 0,
+    image: safeUrl(largeImage(album.image)) || null,
+    url: safeUrl(album.url) || undefined
+  };
+}
 
-  const text = await response.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch (e) {
-    console.error('Failed to parse response:', text.slice(0, 200));
-    throw e;
-  }
+function playedAt(track) {
+  return track.date?.uts ? new Date(parseInt(track.date.uts, 10) * 1000).toISOString() : null;
+}
 
+async function fetchRecentTracks() {
+  console.log('Fetching Last.fm recent tracks...');
+  const data = await lastfm('user.getrecenttracks', { limit: String(LIMIT) });
   const tracks = data.recenttracks?.track || [];
 
-  const items = tracks.map(track => {
+  const items = [];
+  for (const track of tracks) {
     const title = track.name;
     const artist = track.artist['#text'];
-    // Create Spotify search URL
-    const spotifyUrl = `https://open.spotify.com/search/${encodeURIComponent(artist + ' ' + title)}`;
+    const album = track.album['#text'];
+    const link = await resolveTrackLink({ title, artist, album });
 
-    return {
+    items.push({
       title,
       artist,
-      album: track.album['#text'],
-      image: track.image?.find(img => img.size === 'large')?.['#text'] || null,
-      url: spotifyUrl,
-      lastfmUrl: track.url,
-      nowPlaying: track['@attr']?.nowplaying === 'true'
-    };
-  });
+      album,
+      image: safeUrl(largeImage(track.image)) || null,
+      url: safeUrl(link.url) || undefined,
+      linkSource: link.source,
+      lastfmUrl: safeUrl(track.url) || undefined,
+      nowPlaying: track['@attr']?.nowplaying === 'true',
+      playedAt: playedAt(track)
+    });
+  }
+
+  return items;
+}
+
+// Every scrobble since `since` (the newest one in the history), a page at
+// a time, so plays beyond the LIMIT most recent between runs aren't lost
+async function fetchScrobblesSince(since) {
+  console.log(`Fetching Last.fm scrobbles since ${since || 'the start'}...`);
+  const params = { limit: String(HISTORY_PAGE_SIZE) };
+  if (since) params.from = String(Math.floor(new Date(since).getTime() / 1000));
+
+  const scrobbles = [];
+  for (let page = 1; scrobbles.length < HISTORY_SCROBBLE_LIMIT; page++) {
+    const data = await lastfm('user.getrecenttracks', { ...params, page: String(page) });
+    const tracks = data.recenttracks?.track || [];
+
+    for (const track of tracks) {
+      // Now-playing tracks have no timestamp yet; they'll be recorded next run
+      if (!playedAt(track)) continue;
+      scrobbles.push({
+        title: track.name,
+        artist: track.artist['#text'],
+        album: track.album['#text'],
+        playedAt: playedAt(track)
+      });
+    }
+
+    const totalPages = parseInt(data.recenttracks?.['@attr']?.totalPages, 10) || 1;
+    if (tracks.length === 0 || page >= totalPages) break;
+  }
+
+  return scrobbles.slice(0, HISTORY_SCROBBLE_LIMIT);
+}
+
+async function fetchTop(period) {
+  console.log(`Fetching Last.fm top artists and albums (${period})...`);
+  const [artists, albums] = await Promise.all([
+    lastfm('user.gettopartists', { period, limit: String(TOP_LIMIT) }),
+    lastfm('user.gettopalbums', { period, limit: String(TOP_LIMIT) })
+  ]);
+
+  return {
+    artists: (artists.topartists?.artist || []).map(toArtist),
+    albums: (albums.topalbums?.album || []).map(toAlbum)
+  };
+}
+
+// Snapshot of the latest completed Last.fm chart week
+async function fetchLatestChartWeek() {
+  const list = await lastfm('user.getweeklychartlist');
+  const charts = list.weeklychartlist?.chart || [];
+  const latest = charts[charts.length - 1];
+  if (!latest) return null;
+
+  const range = { from: latest.from, to: latest.to };
+  const [artists, albums] = await Promise.all([
+    lastfm('user.getweeklyartistchart', range),
+    lastfm('user.getweeklyalbumchart', range)
+  ]);
+
+  return {
+    from: new Date(parseInt(latest.from, 10) * 1000).toISOString(),
+    to: new Date(parseInt(latest.to, 10) * 1000).toISOString(),
+    artists: (artists.weeklyartistchart?.artist || []).slice(0, TOP_LIMIT).map(toArtist),
+    albums: (albums.weeklyalbumchart?.album || []).slice(0, TOP_LIMIT).map(toAlbum)
+  };
+}
+
+function loadHistory() {
+  try {
+    if (fs.existsSync(HISTORY_PATH)) {
+      return JSON.parse(fs.readFileSync(HISTORY_PATH, 'utf8'));
+    }
+  } catch (e) {
+    console.log('Could not load listening history, starting fresh');
+  }
+  return { scrobbles: [], weeks: [] };
+}
+
+function updateHistory(history, scrobbles, week) {
+  const seen = new Set(history.scrobbles.map(s => `${s.playedAt}|${s.title}|${s.artist}`));
+  for (const scrobble of scrobbles) {
+    const key = `${scrobble.playedAt}|${scrobble.title}|${scrobble.artist}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    history.scrobbles.push(scrobble);
+  }
+  history.scrobbles.sort((a, b) => new Date(b.playedAt) - new Date(a.playedAt));
+  history.scrobbles = history.scrobbles.slice(0, HISTORY_SCROBBLE_LIMIT);
+
+  if (week && !history.weeks.some(w => w.from === week.from)) {
+    history.weeks.unshift(week);
+    history.weeks = history.weeks.slice(0, HISTORY_WEEK_LIMIT);
+  }
+
+  history.updated = new Date().toISOString();
+  return history;
+}
+
+async function fetchListening() {
+  const items = await fetchRecentTracks();
 
   // Dedupe by title+artist (keep first occurrence)
   const seen = new Set();
@@ -51,17 +189,28 @@ async function fetchListening() {
     return true;
   });
 
+  const [week, month, chartWeek] = await Promise.all([
+    fetchTop('7day'),
+    fetchTop('1month'),
+    fetchLatestChartWeek()
+  ]);
+
   const output = {
     updated: new Date().toISOString(),
-    tracks: unique
+    tracks: unique,
+    top: { week, month }
   };
 
-  const outputPath = path.join(__dirname, '..', 'data', 'listening.json');
-  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+  writeDataFile(OUTPUT_PATH, output, { schema: 'listening' });
+
+  const history = loadHistory();
+  const scrobbles = await fetchScrobblesSince(history.scrobbles[0]?.playedAt);
+  updateHistory(history, scrobbles, chartWeek);
+  writeJson(HISTORY_PATH, history);
 
-  console.log(`Saved ${unique.length} tracks to listening.json`);
   console.log(unique.map(t => `  - ${t.title} by ${t.artist}`).join('\n') || '  (no tracks yet)');
+  console.log(`Top artist this week: ${week.artists[0]?.name || '(none)'}, this month: ${month.artists[0]?.name || '(none)'}`);
+  return `${unique.length} recent tracks, ${history.scrobbles.length} scrobbles and ${history.weeks.length} weeks in history`;
 }
 
-fetchListening().catch(console.error);
+module.exports = { fetchListening };
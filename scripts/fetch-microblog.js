@@ -1,71 +1,170 @@
+/**
+ * Fetch posts from the micro.blog JSON Feed
+ * Run with: node scripts/feeds.js fetch microblog
+ *
+ * Reads the feed at microblog.feedUrl in site.json, follows its `next_url`
+ * pages to the end and splits the posts in two, each with its HTML run
+ * through sanitize.js:
+ *   - posts tagged microblog.nowTag → data/microblog.json (the Now page)
+ *   - everything else      → data/writing.json (the writing index and the
+ *                            per-post pages scripts/build.js generates)
+ *
+ * The feed only carries recent posts, so both files are archives: posts
+ * are merged in by id and ones that have dropped out of the feed are kept
+ * (the Now page's archive and "what changed" view go back to the first
+ * snapshot, not just the ones still in the feed).
+ */
+
 const fs = require('fs');
 const path = require('path');
+const { fetch } = require('./lib/http');
+const { sanitizeHtml, safeUrl } = require('../sanitize');
+const { DATA_DIR, writeDataFile } = require('./lib/data-file');
+const { loadSite } = require('./lib/site');
 
-const MICROBLOG_FEED_URL = 'https://sophiealula.micro.blog/feed.json';
-const NOW_TAG = 'Now';
+const { feedUrl: MICROBLOG_FEED_URL, nowTag: NOW_TAG } = loadSite().microblog;
+const NOW_FILE = path.join(DATA_DIR, 'microblog.json');
+const WRITING_FILE = path.join(DATA_DIR, 'writing.json');
+const MAX_FEED_PAGES = 50;
+const TITLE_LENGTH = 60;
 
-async function fetchMicroblog() {
-  console.log('Fetching micro.blog feed...');
+async function fetchFeedItems() {
+  const items = [];
+  const seen = new Set();
+  let url = MICROBLOG_FEED_URL;
 
-  try {
-    const response = await fetch(MICROBLOG_FEED_URL);
-    const feed = await response.json();
+  for (let page = 1; url && page <= MAX_FEED_PAGES; page++) {
+    if (seen.has(url)) break;
+    seen.add(url);
 
-    if (!feed.items || feed.items.length === 0) {
-      console.log('No posts found');
-      return;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`micro.blog feed error ${response.status} (${url})`);
     }
+    const feed = await response.json();
 
-    // Filter to only posts tagged with "Now"
-    const nowItems = feed.items.filter(item =>
-      item.tags && item.tags.includes(NOW_TAG)
-    );
+    items.push(...(feed.items || []));
+    url = feed.next_url || null;
+  }
 
-    if (nowItems.length === 0) {
-      console.log('No posts with "Now" tag found');
-      return;
-    }
+  return items;
+}
 
-    console.log(`Found ${nowItems.length} post(s) tagged "${NOW_TAG}"`);
-
-    // Process posts
-    const posts = nowItems.map(item => {
-      const date = new Date(item.date_published);
-      return {
-        id: item.id,
-        title: item.title || null,
-        content: item.content_html,
-        date: item.date_published,
-        dateFormatted: date.toLocaleDateString('en-US', {
-          month: 'short',
-          day: 'numeric'
-        }),
-        url: item.url
-      };
-    });
-
-    const data = {
-      updated: new Date().toISOString(),
-      posts: posts
-    };
-
-    // Save to data directory
-    const dataDir = path.join(__dirname, '..', 'data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
+// "2026/01/03/a-short-note.html" → "2026-01-03-a-short-note", so every post
+// keeps the date micro.blog gave it in its own page name
+function postSlug(item) {
+  try {
+    const slug = new URL(item.url).pathname
+      .replace(/\.html$/, '')
+      .split('/')
+      .filter(Boolean)
+      .join('-')
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, '-');
+    if (slug) return slug;
+  } catch (e) {
+    // Fall through to the date
+  }
+  return item.date_published.slice(0, 10) + '-' + String(item.id).replace(/\W+/g, '').slice(-8);
+}
 
-    fs.writeFileSync(
-      path.join(dataDir, 'microblog.json'),
-      JSON.stringify(data, null, 2)
-    );
+// Untitled micro.blog posts are titled by their first sentence, cut at a
+// word boundary
+function postTitle(item) {
+  const title = (item.title || '').trim();
+  if (title) return title;
 
-    console.log(`Saved ${posts.length} posts to data/microblog.json`);
+  const text = (item.content_text || '').trim().split('\n')[0];
+  const sentence = text.match(/^.+?[.!?](?=\s|$)/)?.[0] || text;
+  if (!sentence) return 'Untitled';
+  if (sentence.length <= TITLE_LENGTH) return sentence.replace(/\.$/, '');
 
-  } catch (error) {
-    console.error('Error fetching micro.blog:', error.message);
-    process.exit(1);
+  const cut = sentence.slice(0, TITLE_LENGTH);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > 0 ? cut.slice(0, space) : cut).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+function toNowPost(item) {
+  const date = new Date(item.date_published);
+  return {
+    id: item.id,
+    title: item.title || null,
+    content: sanitizeHtml(item.content_html),
+    date: item.date_published,
+    dateFormatted: date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric'
+    }),
+    url: safeUrl(item.url)
+  };
+}
+
+function toWritingPost(item) {
+  return {
+    id: item.id,
+    slug: postSlug(item),
+    title: postTitle(item),
+    content: sanitizeHtml(item.content_html),
+    date: item.date_published,
+    tags: item.tags || [],
+    url: safeUrl(item.url)
+  };
+}
+
+// Archived posts from microblog.json or writing.json. Like the bookmarks
+// archive, a file that won't read stops the run rather than being replaced
+// by the feed window.
+function loadPosts(file) {
+  if (!fs.existsSync(file)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).posts || [];
+  } catch (e) {
+    throw new Error(`Could not read ${path.basename(file)}, not touching the archive: ${e.message}`);
   }
 }
 
-fetchMicroblog();
+// Feed posts replace archived ones with the same id (they may have been
+// edited); archived posts no longer in the feed stay, unless they've since
+// moved to the other file (tagged for the Now page, or untagged)
+function mergePosts(archived, posts, movedIds) {
+  const byId = new Map(archived.filter(post => !movedIds.has(post.id)).map(post => [post.id, post]));
+  for (const post of posts) byId.set(post.id, post);
+  return [...byId.values()];
+}
+
+async function fetchMicroblog() {
+  console.log('Fetching micro.blog feed...');
+
+  const items = await fetchFeedItems();
+  if (items.length === 0) {
+    return 'no posts in the feed';
+  }
+
+  const isNow = item => item.tags && item.tags.includes(NOW_TAG);
+  const byDate = (a, b) => new Date(b.date) - new Date(a.date);
+  const updated = new Date().toISOString();
+
+  const freshNow = items.filter(isNow).map(toNowPost);
+  console.log(`Found ${freshNow.length} post(s) tagged "${NOW_TAG}"`);
+
+  // A post without a link of its own can't be archived; skip it rather
+  // than fail the whole file on it
+  const others = items.filter(item => !isNow(item));
+  const hasUrl = item => /^https?:\/\//i.test(safeUrl(item.url));
+  const skipped = others.filter(item => !hasUrl(item));
+  for (const item of skipped) console.log(`Skipping ${item.id}: no usable URL`);
+  const freshWriting = others.filter(hasUrl).map(toWritingPost);
+  console.log(`Found ${others.length} other post(s)`);
+
+  const posts = mergePosts(loadPosts(NOW_FILE), freshNow, new Set(freshWriting.map(post => post.id))).sort(byDate);
+  if (posts.length > 0) {
+    writeDataFile(NOW_FILE, { updated, posts }, { schema: 'microblog' });
+  }
+
+  const writing = mergePosts(loadPosts(WRITING_FILE), freshWriting, new Set(freshNow.map(post => post.id))).sort(byDate);
+  writeDataFile(WRITING_FILE, { updated, posts: writing }, { schema: 'writing' });
+
+  return `${posts.length} Now posts, ${writing.length} writing posts${skipped.length ? `, ${skipped.length} skipped` : ''}`;
+}
+
+module.exports = { fetchMicroblog, postSlug, postTitle };
@@ -1,11 +1,19 @@
 /**
- * Fetch currently reading books from a Slack channel
- * Uses Open Library API to get book covers
+ * Fetch books from a Slack channel into a persistent reading library
+ * Uses Open Library (via lib/book-resolver.js) to get covers, ISBNs and OLIDs
+ * Run with: node scripts/feeds.js fetch reading
  *
- * Message format in Slack:
- * - "Title by Author"
- * - "📚 Title by Author"
- * - "Currently reading: Title by Author"
+ * Message format in Slack (see lib/books.js for the full grammar):
+ * - "Title by Author" / "Currently reading: Title by Author"
+ * - "Want to read: Title by Author"
+ * - "Finished: Title by Author"
+ * - "DNF: Title by Author"
+ *
+ * data/reading.json keeps every book with its status and start/finish
+ * dates. Each run only applies messages newer than the last one seen;
+ * pass --full to replay the whole channel.
+ * Open Library lookups are cached in data/cache/; pass --refresh (or
+ * --refresh="title|author") to look them up again.
  *
  * Setup:
  * 1. Create a Slack channel (e.g., #reading)
@@ -17,190 +25,111 @@
 
 const fs = require('fs');
 const path = require('path');
+const { fetchSlackMessages } = require('./lib/slack');
+const { resolveBook } = require('./lib/book-resolver');
+const { parseBookFromMessage, findBook, applyStatus, isBookMessage } = require('./lib/books');
+const { DATA_DIR, writeDataFile } = require('./lib/data-file');
+const { safeUrl } = require('../sanitize');
 
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 const SLACK_READING_CHANNEL_ID = process.env.SLACK_READING_CHANNEL_ID || process.env.SLACK_CHANNEL_ID;
 
-async function fetchSlackMessages() {
-  const response = await fetch(`https://slack.com/api/conversations.history?channel=${SLACK_READING_CHANNEL_ID}&limit=20`, {
-    headers: {
-      'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/json'
-    }
-  });
-
-  const data = await response.json();
-
-  if (!data.ok) {
-    console.error('Slack API error:', data.error);
-    return [];
-  }
-
-  return data.messages || [];
-}
+const OUTPUT_PATH = path.join(DATA_DIR, 'reading.json');
 
-async function fetchBookCover(title, author) {
+function loadLibrary() {
   try {
-    // Search Open Library for the book
-    const query = encodeURIComponent(`${title} ${author || ''}`);
-    const searchUrl = `https://openlibrary.org/search.json?q=${query}&limit=1`;
-
-    console.log(`  Searching Open Library for: ${title}${author ? ` by ${author}` : ''}`);
-
-    const response = await fetch(searchUrl, {
-      headers: { 'User-Agent': 'SophiePortfolio/1.0' }
-    });
-    const data = await response.json();
-
-    if (data.docs && data.docs.length > 0) {
-      const book = data.docs[0];
-
-      // Get cover ID (prefer edition covers, fall back to work covers)
-      const coverId = book.cover_i;
-
-      if (coverId) {
-        // M = medium size, L = large
-        const coverUrl = `https://covers.openlibrary.org/b/id/${coverId}-M.jpg`;
-        console.log(`  Found cover: ${coverUrl}`);
-        return coverUrl;
-      }
+    if (fs.existsSync(OUTPUT_PATH)) {
+      const data = JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf8'));
+      // Entries written before statuses existed were all "currently reading"
+      const books = (data.books || []).map(book => ({ status: 'reading', ...book }));
+      return { books, lastTs: data.lastTs || null };
     }
-
-    console.log(`  No cover found for: ${title}`);
-    return null;
   } catch (e) {
-    console.log(`  Error fetching cover for ${title}:`, e.message);
-    return null;
+    console.log('Could not load reading.json, starting fresh');
   }
+  return { books: [], lastTs: null };
 }
 
-function parseBookFromMessage(text) {
-  // Remove common prefixes
-  let cleaned = text
-    .replace(/^📚\s*/i, '')
-    .replace(/^currently reading:\s*/i, '')
-    .replace(/^reading:\s*/i, '')
-    .replace(/^now reading:\s*/i, '')
-    .trim();
-
-  // Parse "Title by Author" format
-  const byMatch = cleaned.match(/^(.+?)\s+by\s+(.+)$/i);
-  if (byMatch) {
-    return {
-      title: byMatch[1].trim(),
-      author: byMatch[2].trim()
-    };
-  }
-
-  // If no "by", treat whole thing as title
-  if (cleaned.length > 0 && cleaned.length < 200) {
-    return {
-      title: cleaned,
-      author: null
-    };
-  }
-
-  return null;
-}
-
-async function extractBooks(messages) {
-  const books = [];
-  const seenTitles = new Set();
-
-  for (const msg of messages) {
-    const text = msg.text || '';
+// Applies book messages to the library, oldest first, so that
+// "reading" followed by "finished" ends up finished.
+async function applyMessages(library, messages) {
+  const ordered = [...messages].sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+  let changed = 0;
 
-    // Skip messages with URLs (those are bookmarks)
-    if (text.includes('http://') || text.includes('https://')) continue;
+  for (const msg of ordered) {
+    if (library.lastTs && parseFloat(msg.ts) <= parseFloat(library.lastTs)) continue;
+    library.lastTs = msg.ts;
 
-    // Skip bot messages and thread replies
-    if (msg.bot_id || msg.thread_ts) continue;
+    if (!isBookMessage(msg)) continue;
 
-    // Skip system messages (joins, leaves, etc.)
-    if (msg.subtype) continue;
+    const book = parseBookFromMessage(msg.text || '');
+    if (!book) continue;
 
-    // Skip messages that are just user mentions or system-like
-    if (text.match(/^<@U[A-Z0-9]+>/) || text.includes('has joined')) continue;
+    const date = new Date(parseFloat(msg.ts) * 1000).toISOString();
+    let entry = findBook(library.books, book);
 
-    const book = parseBookFromMessage(text);
-    if (book) {
-      // Skip duplicates
-      const key = `${book.title.toLowerCase()}|${(book.author || '').toLowerCase()}`;
-      if (seenTitles.has(key)) continue;
-      seenTitles.add(key);
+    if (entry) {
+      if (entry.status === book.status) continue;
+      console.log(`${entry.title}: ${entry.status} → ${book.status}`);
+    } else {
+      console.log(`Found book: ${book.title}${book.author ? ` by ${book.author}` : ''} (${book.status})`);
 
-      console.log(`Found book: ${book.title}${book.author ? ` by ${book.author}` : ''}`);
+      // Fetch cover and identifiers from Open Library
+      const match = await resolveBook(book.title, book.author);
 
-      // Fetch cover from Open Library
-      const image = await fetchBookCover(book.title, book.author);
-
-      books.push({
+      entry = {
         title: book.title,
         author: book.author || 'Unknown',
-        image: image,
-        link: null // No link for Slack-sourced books
-      });
+        image: safeUrl(match?.cover) || null,
+        link: null, // No link for Slack-sourced books
+        isbn: match?.isbn || null,
+        olid: match?.olid || null,
+        publishYear: match?.publishYear || null,
+        status: null,
+        addedAt: date,
+        startedAt: null,
+        finishedAt: null
+      };
+      library.books.push(entry);
     }
+
+    applyStatus(entry, book.status, date);
+    changed++;
   }
 
-  return books;
+  return changed;
 }
 
-async function main() {
+async function fetchReading() {
   if (!SLACK_BOT_TOKEN || !SLACK_READING_CHANNEL_ID) {
-    console.error('Missing SLACK_BOT_TOKEN or SLACK_READING_CHANNEL_ID environment variables');
-    console.log('\nTo test with sample data, run with --sample flag');
-
-    if (process.argv.includes('--sample')) {
-      // Fetch covers for sample data
-      console.log('Generating sample data with real covers...');
-
-      const sampleBooks = [
-        { title: 'Breakneck', author: 'Dan Wang' },
-        { title: 'The Design of Everyday Things', author: 'Don Norman' }
-      ];
-
-      const booksWithCovers = [];
-      for (const book of sampleBooks) {
-        const image = await fetchBookCover(book.title, book.author);
-        booksWithCovers.push({
-          ...book,
-          image,
-          link: null
-        });
-      }
-
-      const sampleData = {
-        updated: new Date().toISOString(),
-        books: booksWithCovers
-      };
+    throw new Error('Missing SLACK_BOT_TOKEN or SLACK_READING_CHANNEL_ID environment variables (run with --fixtures to use recorded responses)');
+  }
 
-      const outputPath = path.join(__dirname, '..', 'data', 'reading.json');
-      fs.writeFileSync(outputPath, JSON.stringify(sampleData, null, 2));
-      console.log('Sample data written to data/reading.json');
-    }
-    return;
+  const library = loadLibrary();
+  if (process.argv.includes('--full')) {
+    library.lastTs = null;
   }
+  console.log(`Library has ${library.books.length} books`);
 
   console.log('Fetching messages from Slack reading channel...');
-  const messages = await fetchSlackMessages();
+  const messages = await fetchSlackMessages(SLACK_READING_CHANNEL_ID, { oldest: library.lastTs });
   console.log(`Found ${messages.length} messages`);
 
-  const books = await extractBooks(messages);
-  console.log(`Extracted ${books.length} books`);
+  const changed = await applyMessages(library, messages);
+  console.log(`Applied ${changed} book updates`);
 
-  if (books.length === 0) {
+  if (library.books.length === 0) {
     console.log('No books found. Make sure to post in format: "Title by Author"');
   }
 
   const output = {
     updated: new Date().toISOString(),
-    books
+    lastTs: library.lastTs,
+    books: library.books
   };
 
-  const outputPath = path.join(__dirname, '..', 'data', 'reading.json');
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-  console.log(`Written to ${outputPath}`);
+  writeDataFile(OUTPUT_PATH, output, { schema: 'reading' });
+  return `${changed} book updates, ${library.books.length} books in library`;
 }
 
-main().catch(console.error);
+module.exports = { fetchReading, loadLibrary, applyMessages };
@@ -0,0 +1,202 @@
+/**
+ * Open Library book resolver shared by fetch-reading.js and
+ * sync-books-to-microblog.js
+ *
+ * Searches with separate title/author fields, scores several candidates
+ * (title match, author match, edition popularity, study-guide penalty) and
+ * returns cover, ISBN, OLID and publish year for the best one.
+ *
+ * Wrong matches can be pinned in data/book-overrides.json, keyed the same
+ * way as everywhere else ("title|author", lowercase):
+ *
+ *   {
+ *     "breakneck|dan wang": { "olid": "OL12345W", "coverId": 15121652, "isbn": "9781324106036" }
+ *   }
+ *
+ * Any field set in an override wins over the search result; an override
+ * with an olid skips the search entirely.
+ *
+ * Search results are cached in data/cache/books.json (see lib/cache.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetch } = require('./http');
+const { bookKey } = require('./books');
+const { openCache } = require('./cache');
+const { DATA_DIR } = require('./data-file');
+const { userAgent } = require('./site');
+
+const OVERRIDES_FILE = path.join(DATA_DIR, 'book-overrides.json');
+const SEARCH_URL = 'https://openlibrary.org/search.json';
+const SEARCH_FIELDS = 'key,title,author_name,cover_i,isbn,edition_count,first_publish_year';
+const CANDIDATE_LIMIT = 10;
+const USER_AGENT = userAgent();
+const MIN_CONFIDENCE = 0.5;
+
+const DERIVATIVE_TITLE = /\b(study guide|summary|sparknotes|cliffsnotes|workbook|analysis of|companion to|conversation starters)\b/i;
+
+// "No confident match" is retried after a week
+const cache = openCache('books', { ttlDays: 90, negativeTtlDays: 7, normalizeKey: key => key.toLowerCase() });
+
+let overrides = null;
+
+function loadOverrides() {
+  if (overrides) return overrides;
+  overrides = {};
+  try {
+    if (fs.existsSync(OVERRIDES_FILE)) {
+      overrides = JSON.parse(fs.readFileSync(OVERRIDES_FILE, 'utf8'));
+    }
+  } catch (e) {
+    console.log('Could not load book-overrides.json:', e.message);
+  }
+  return overrides;
+}
+
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function titleScore(query, candidate) {
+  const q = normalize(query);
+  const c = normalize(candidate);
+  if (!q || !c) return 0;
+  if (q === c) return 1;
+
+  // "Breakneck" vs "Breakneck: China's Quest to Engineer the Future"
+  const mainTitle = normalize(candidate.split(':')[0]);
+  if (q === mainTitle) return 0.9;
+
+  const queryWords = new Set(q.split(' '));
+  const candidateWords = new Set(c.split(' '));
+  const shared = [...queryWords].filter(w => candidateWords.has(w)).length;
+  return shared / Math.max(queryWords.size, candidateWords.size);
+}
+
+function authorScore(query, authors) {
+  // Without an author to compare, don't favor or penalize anyone
+  if (!query) return 0.5;
+  if (!authors || authors.length === 0) return 0;
+
+  const queryWords = normalize(query).split(' ');
+  const surname = queryWords[queryWords.length - 1];
+
+  for (const author of authors) {
+    const name = normalize(author);
+    if (name === normalize(query)) return 1;
+    if (name.split(' ').includes(surname)) return 0.8;
+  }
+  return 0;
+}
+
+function popularityScore(editionCount) {
+  return Math.min(Math.log10((editionCount || 0) + 1) / 2, 1);
+}
+
+function scoreCandidate(doc, title, author) {
+  let score = 0.5 * titleScore(title, doc.title)
+    + 0.35 * authorScore(author, doc.author_name)
+    + 0.15 * popularityScore(doc.edition_count);
+
+  if (DERIVATIVE_TITLE.test(doc.title || '')) {
+    score -= 0.5;
+  }
+
+  return score;
+}
+
+function coverUrl(coverId) {
+  // M = medium size, L = large
+  return coverId ? `https://covers.openlibrary.org/b/id/${coverId}-M.jpg` : null;
+}
+
+function toResult(doc, confidence) {
+  return {
+    title: doc.title || null,
+    author: doc.author_name?.[0] || null,
+    olid: doc.key ? doc.key.replace('/works/', '') : null,
+    isbn: doc.isbn?.[0] || null,
+    coverId: doc.cover_i || null,
+    cover: coverUrl(doc.cover_i),
+    publishYear: doc.first_publish_year || null,
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
+
+function applyOverride(result, override) {
+  const merged = { ...result, ...override };
+  if (override.coverId) merged.cover = coverUrl(override.coverId);
+  return merged;
+}
+
+async function searchOpenLibrary(title, author) {
+  const params = new URLSearchParams({ title, fields: SEARCH_FIELDS, limit: String(CANDIDATE_LIMIT) });
+  if (author) params.set('author', author);
+
+  const response = await fetch(`${SEARCH_URL}?${params}`, {
+    headers: { 'User-Agent': USER_AGENT }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Open Library error ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.docs || [];
+}
+
+// Returns the best-scoring Open Library match, or null when nothing
+// clears MIN_CONFIDENCE. Throws on network/API errors.
+async function findBestMatch(title, author) {
+  console.log(`  Searching Open Library for: ${title}${author ? ` by ${author}` : ''}`);
+  let docs = await searchOpenLibrary(title, author);
+
+  // The author field is strict; retry on title alone before giving up
+  if (docs.length === 0 && author) {
+    docs = await searchOpenLibrary(title, null);
+  }
+
+  const ranked = docs
+    .map(doc => ({ doc, score: scoreCandidate(doc, title, author) }))
+    .sort((a, b) => b.score - a.score);
+
+  const best = ranked[0];
+  if (!best || best.score < MIN_CONFIDENCE) {
+    console.log(`  No confident match for: ${title}`);
+    return null;
+  }
+
+  const result = toResult(best.doc, best.score);
+  console.log(`  Matched "${result.title}" (${result.olid}, confidence ${result.confidence})`);
+  return result;
+}
+
+async function resolveBook(title, author) {
+  const key = bookKey({ title, author });
+  const override = loadOverrides()[key];
+
+  if (override && override.olid) {
+    console.log(`  Using pinned match for: ${title}`);
+    return applyOverride({ title, author, olid: null, isbn: null, coverId: null, cover: null, publishYear: null, confidence: 1 }, override);
+  }
+
+  try {
+    const result = await cache.wrap(key, () => findBestMatch(title, author));
+    if (override) {
+      return applyOverride(result || { title, author, confidence: 0 }, override);
+    }
+    return result;
+  } catch (e) {
+    console.log(`  Error resolving ${title}:`, e.message);
+    return null;
+  }
+}
+
+module.exports = { resolveBook, scoreCandidate, coverUrl };
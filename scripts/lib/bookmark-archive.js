@@ -0,0 +1,136 @@
+/**
+ * Append-only bookmarks archive
+ *
+ * The full history lives in data/bookmarks/<year>.json, one shard per year.
+ * data/bookmarks.json only holds the most recent slice that media.html loads.
+ * Entries are keyed by canonical URL (see lib/urls.js), under both the
+ * shared link and the page's declared canonical link, so a link seen again
+ * in Slack keeps the title and date it was first archived with.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { urlKeys } = require('./urls');
+const { DATA_DIR, writeDataFile } = require('./data-file');
+
+const ARCHIVE_DIR = path.join(DATA_DIR, 'bookmarks');
+const RECENT_FILE = path.join(DATA_DIR, 'bookmarks.json');
+const RECENT_LIMIT = 50;
+
+function sortNewestFirst(bookmarks) {
+  return bookmarks.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function bookmarkKeys(bookmark) {
+  return urlKeys(bookmark.url, bookmark.canonicalUrl);
+}
+
+function uniqueBookmarks(archive) {
+  return [...new Set(archive.values())];
+}
+
+function hasBookmark(archive, url, canonicalUrl) {
+  return urlKeys(url, canonicalUrl).some(key => archive.has(key));
+}
+
+function addBookmark(archive, bookmark) {
+  for (const key of bookmarkKeys(bookmark)) archive.set(key, bookmark);
+}
+
+// Returns a Map of canonical URL -> bookmark covering every archived year.
+// The first run has no shards yet, so it seeds from data/bookmarks.json.
+// A shard that won't read stops the run: saving without it would rewrite
+// that year with only the new bookmarks.
+function loadArchive() {
+  const archive = new Map();
+  let sources = [];
+
+  if (fs.existsSync(ARCHIVE_DIR)) {
+    sources = fs.readdirSync(ARCHIVE_DIR)
+      .filter(name => /^\d{4}\.json$/.test(name))
+      .map(name => path.join(ARCHIVE_DIR, name));
+  }
+
+  if (sources.length === 0 && fs.existsSync(RECENT_FILE)) {
+    sources = [RECENT_FILE];
+  }
+
+  for (const file of sources) {
+    let shard;
+    try {
+      shard = readJson(file);
+    } catch (e) {
+      throw new Error(`Could not read ${path.relative(DATA_DIR, file)}, not touching the archive: ${e.message}`);
+    }
+    for (const bookmark of shard.bookmarks || []) {
+      if (!hasBookmark(archive, bookmark.url, bookmark.canonicalUrl)) addBookmark(archive, bookmark);
+    }
+  }
+
+  return archive;
+}
+
+// Adds bookmarks that aren't archived yet. Existing entries win so that
+// previously resolved titles and original dates are never overwritten.
+function mergeBookmarks(archive, bookmarks) {
+  const added = [];
+  for (const bookmark of bookmarks) {
+    if (hasBookmark(archive, bookmark.url, bookmark.canonicalUrl)) continue;
+    addBookmark(archive, bookmark);
+    added.push(bookmark);
+  }
+  return added;
+}
+
+// Newest Slack ts in the archive, used as `oldest` for incremental pulls
+function latestTs(archive) {
+  let latest = null;
+  for (const bookmark of uniqueBookmarks(archive)) {
+    if (bookmark.ts && (!latest || parseFloat(bookmark.ts) > parseFloat(latest))) {
+      latest = bookmark.ts;
+    }
+  }
+  return latest;
+}
+
+function saveArchive(archive) {
+  const all = sortNewestFirst(uniqueBookmarks(archive));
+  const updated = new Date().toISOString();
+
+  const byYear = new Map();
+  for (const bookmark of all) {
+    const year = new Date(bookmark.date).getUTCFullYear();
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push(bookmark);
+  }
+
+  for (const [year, bookmarks] of byYear) {
+    const file = path.join(ARCHIVE_DIR, `${year}.json`);
+    writeDataFile(file, { year, updated, bookmarks }, { schema: 'bookmark-year' });
+  }
+
+  const recent = {
+    updated,
+    total: all.length,
+    years: [...byYear.keys()],
+    bookmarks: all.slice(0, RECENT_LIMIT)
+  };
+  writeDataFile(RECENT_FILE, recent, { schema: 'bookmarks' });
+
+  return all.length;
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  RECENT_LIMIT,
+  uniqueBookmarks,
+  hasBookmark,
+  loadArchive,
+  mergeBookmarks,
+  latestTs,
+  saveArchive
+};
@@ -0,0 +1,73 @@
+/**
+ * Parse a Slack bookmark message into links and annotations
+ *
+ * Message format in Slack:
+ * - "https://example.com"
+ * - "🔥 https://example.com must read #ai #product"
+ * - ":books: Great thread on pricing https://example.com #gtm"
+ *
+ * Everything that isn't a link, a hashtag or the leading emoji is kept
+ * as the note.
+ */
+
+const { decodeEntities } = require('./link-metadata');
+
+const LINK_REGEX = /<(https?:\/\/[^>|]+)(?:\|([^>]+))?>/g;
+const LEADING_EMOJI_REGEX = /^(\p{Extended_Pictographic}(?:️|‍\p{Extended_Pictographic}|\p{Emoji_Modifier})*)\s*/u;
+const LEADING_SHORTCODE_REGEX = /^:([a-z0-9_+-]+):\s*/i;
+const HASHTAG_REGEX = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+// Slack sends emoji as :shortcodes:; map the ones we actually post with
+const SHORTCODES = {
+  fire: '🔥', books: '📚', book: '📖', star: '⭐', bulb: '💡', eyes: '👀',
+  heart: '❤️', rocket: '🚀', memo: '📝', headphones: '🎧', tv: '📺',
+  movie_camera: '🎥', robot_face: '🤖', brain: '🧠', thinking_face: '🤔',
+  pushpin: '📌', link: '🔗', sparkles: '✨', hammer_and_wrench: '🛠️'
+};
+
+function parseBookmarkMessage(text) {
+  const links = [];
+  let match;
+  LINK_REGEX.lastIndex = 0;
+  while ((match = LINK_REGEX.exec(text)) !== null) {
+    links.push({ url: match[1], label: match[2] || null });
+  }
+
+  let rest = text
+    .replace(LINK_REGEX, ' ')
+    // User/channel mentions and other Slack control sequences
+    .replace(/<[@#!][^>]*>/g, ' ')
+    .trim();
+
+  let emoji = null;
+  const emojiMatch = rest.match(LEADING_EMOJI_REGEX);
+  const shortcodeMatch = rest.match(LEADING_SHORTCODE_REGEX);
+  if (emojiMatch) {
+    emoji = emojiMatch[1];
+    rest = rest.slice(emojiMatch[0].length);
+  } else if (shortcodeMatch && SHORTCODES[shortcodeMatch[1].toLowerCase()]) {
+    emoji = SHORTCODES[shortcodeMatch[1].toLowerCase()];
+    rest = rest.slice(shortcodeMatch[0].length);
+  }
+
+  const tags = [];
+  rest = rest.replace(HASHTAG_REGEX, (whole, space, tag) => {
+    const normalized = tag.toLowerCase();
+    if (!tags.includes(normalized)) tags.push(normalized);
+    return space;
+  });
+
+  const note = decodeEntities(rest)
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–—:|]+|[\s\-–—:|]+$/g, '')
+    .trim();
+
+  return {
+    links,
+    note: note || null,
+    tags,
+    emoji
+  };
+}
+
+module.exports = { parseBookmarkMessage };
@@ -0,0 +1,111 @@
+/**
+ * Book message grammar shared by fetch-reading.js and sync-books-to-microblog.js
+ *
+ * Message format in Slack:
+ * - "Title by Author" / "📚 Title by Author" / "Currently reading: Title by Author"
+ * - "Want to read: Title by Author" (also "tbr:", "to read:")
+ * - "Finished: Title by Author" (also "done:", "✅")
+ * - "DNF: Title by Author" (also "abandoned:", "gave up on:")
+ *
+ * The prefix sets the book's status; no prefix means "reading".
+ */
+
+const STATUSES = ['want-to-read', 'reading', 'finished', 'abandoned'];
+
+const STATUS_PREFIXES = [
+  { status: 'want-to-read', pattern: /^(?:want to read|to read|tbr)\s*:\s*/i },
+  { status: 'finished', pattern: /^(?:finished|done|read)\s*:\s*/i },
+  { status: 'finished', pattern: /^✅\s*/ },
+  { status: 'abandoned', pattern: /^(?:dnf|abandoned|gave up on)\s*:\s*/i },
+  { status: 'reading', pattern: /^(?:currently reading|now reading|reading|started)\s*:\s*/i }
+];
+
+function parseBookFromMessage(text) {
+  let cleaned = text.replace(/^📚\s*/i, '').trim();
+  let status = 'reading';
+
+  for (const prefix of STATUS_PREFIXES) {
+    if (prefix.pattern.test(cleaned)) {
+      status = prefix.status;
+      cleaned = cleaned.replace(prefix.pattern, '').trim();
+      break;
+    }
+  }
+
+  // Parse "Title by Author" format
+  const byMatch = cleaned.match(/^(.+?)\s+by\s+(.+)$/i);
+  if (byMatch) {
+    return {
+      title: byMatch[1].trim(),
+      author: byMatch[2].trim(),
+      status
+    };
+  }
+
+  // If no "by", treat whole thing as title
+  if (cleaned.length > 0 && cleaned.length < 200) {
+    return {
+      title: cleaned,
+      author: null,
+      status
+    };
+  }
+
+  return null;
+}
+
+function bookKey(book) {
+  const author = book.author && book.author !== 'Unknown' ? book.author : '';
+  return `${book.title.toLowerCase()}|${author.toLowerCase()}`;
+}
+
+// Finds a book in the library. Status updates often leave off the author
+// ("finished: Breakneck"), so fall back to a title-only match.
+function findBook(library, book) {
+  const exact = library.find(b => bookKey(b) === bookKey(book));
+  if (exact || book.author) return exact || null;
+  return library.find(b => b.title.toLowerCase() === book.title.toLowerCase()) || null;
+}
+
+// Moves a library entry to a new status, stamping start/finish dates
+function applyStatus(entry, status, date) {
+  entry.status = status;
+  if (status === 'reading') {
+    entry.startedAt = entry.startedAt || date;
+    entry.finishedAt = null;
+  } else if (status === 'finished' || status === 'abandoned') {
+    entry.startedAt = entry.startedAt || null;
+    entry.finishedAt = date;
+  } else if (status === 'want-to-read') {
+    entry.finishedAt = null;
+  }
+  return entry;
+}
+
+// Slack messages that aren't book posts
+function isBookMessage(msg) {
+  const text = msg.text || '';
+
+  // Skip messages with URLs (those are bookmarks)
+  if (text.includes('http://') || text.includes('https://')) return false;
+
+  // Skip bot messages and thread replies
+  if (msg.bot_id || msg.thread_ts) return false;
+
+  // Skip system messages (joins, leaves, etc.)
+  if (msg.subtype) return false;
+
+  // Skip messages that are just user mentions or system-like
+  if (text.match(/^<@U[A-Z0-9]+>/) || text.includes('has joined')) return false;
+
+  return true;
+}
+
+module.exports = {
+  STATUSES,
+  parseBookFromMessage,
+  bookKey,
+  findBook,
+  applyStatus,
+  isBookMessage
+};
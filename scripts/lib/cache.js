@@ -0,0 +1,91 @@
+/**
+ * Persisted cache for external lookups (page metadata, Open Library)
+ *
+ * Each cache is a JSON file in data/cache/ that gets committed with the
+ * rest of data/, so lookups survive between scheduled runs. Entries
+ * expire after a TTL; "nothing found" results are cached too, with a
+ * shorter TTL so they get retried sooner.
+ *
+ * Busting the cache from the command line:
+ *   --refresh          ignore every cached entry this run
+ *   --refresh=<key>    ignore one entry (a URL, or "title|author" for books)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, writeJson } = require('./data-file');
+
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function refreshKeys(argv = process.argv) {
+  const keys = [];
+  let all = false;
+  for (const arg of argv) {
+    if (arg === '--refresh') all = true;
+    else if (arg.startsWith('--refresh=')) keys.push(arg.slice('--refresh='.length));
+  }
+  return { all, keys };
+}
+
+function openCache(name, { ttlDays, negativeTtlDays, normalizeKey = key => key }) {
+  const file = path.join(CACHE_DIR, `${name}.json`);
+  const refresh = refreshKeys();
+  // Keys already re-fetched this run don't need busting again
+  const refreshed = new Set();
+  let entries = {};
+
+  try {
+    if (fs.existsSync(file)) {
+      entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {
+    console.log(`Could not load cache/${name}.json, starting fresh`);
+  }
+
+  function isRefreshed(key) {
+    if (refreshed.has(key)) return false;
+    return refresh.all || refresh.keys.some(k => normalizeKey(k) === key);
+  }
+
+  function save() {
+    writeJson(file, entries);
+  }
+
+  // Returns { hit: true, value } for a fresh entry, { hit: false } otherwise
+  function get(rawKey) {
+    const key = normalizeKey(rawKey);
+    const entry = entries[key];
+    if (!entry || isRefreshed(key)) return { hit: false };
+    if (Date.now() > new Date(entry.expiresAt).getTime()) return { hit: false };
+    return { hit: true, value: entry.value };
+  }
+
+  function set(rawKey, value) {
+    const key = normalizeKey(rawKey);
+    const ttl = (value === null ? negativeTtlDays : ttlDays) * DAY_MS;
+    const now = Date.now();
+    refreshed.add(key);
+    entries[key] = {
+      value,
+      fetchedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl).toISOString()
+    };
+    save();
+  }
+
+  // Looks up a key, calling fetcher() on a miss. fetcher() should return
+  // null for "nothing found" and throw for errors that shouldn't be cached.
+  async function wrap(rawKey, fetcher) {
+    const cached = get(rawKey);
+    if (cached.hit) return cached.value;
+
+    const value = await fetcher();
+    set(rawKey, value === undefined ? null : value);
+    return value;
+  }
+
+  return { get, set, wrap };
+}
+
+module.exports = { openCache };
@@ -0,0 +1,195 @@
+/**
+ * Safe writes for the data files the pages render from
+ *
+ * writeDataFile() checks the data against its JSON schema in
+ * scripts/schemas/, then writes to a temp file and renames it into place so
+ * an interrupted run never leaves half a file behind. It also refuses to
+ * replace a file that has entries with one that has none: an upstream API
+ * error usually looks like an empty list, and writing it would blank the
+ * page. Pass --force to write anyway.
+ *
+ * writeJson() is the atomic write on its own, for state and cache files.
+ * With --dry-run nothing is written; takeWrites() lists the files a run
+ * wrote (or would have written) for the feeds CLI summary.
+ *
+ * Everything lives under DATA_DIR: data/, or FEEDS_DATA_DIR if set (the
+ * tests point it at a temp directory).
+ *
+ * The validator covers the subset of JSON Schema the schemas use: type,
+ * required, properties, items, enum, minLength, minimum, format
+ * (date-time, uri) and $ref.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const DATA_DIR = process.env.FEEDS_DATA_DIR
+  ? path.resolve(process.env.FEEDS_DATA_DIR)
+  : path.join(ROOT_DIR, 'data');
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+const FORCE = process.argv.includes('--force');
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Where each kind of data file keeps its entries, for the empty-file guard
+const ENTRIES = {
+  'bookmarks': data => data.bookmarks,
+  'bookmark-year': data => data.bookmarks,
+  'reading': data => data.books,
+  'listening': data => data.tracks,
+  'microblog': data => data.posts,
+  'writing': data => data.posts
+};
+
+const schemas = {};
+const writes = [];
+
+function loadSchema(name) {
+  const file = name.endsWith('.json') ? name : `${name}.schema.json`;
+  if (!schemas[file]) {
+    schemas[file] = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'));
+  }
+  return schemas[file];
+}
+
+function resolveRef(ref, schema) {
+  const [file, pointer = ''] = ref.split('#');
+  const target = file ? loadSchema(file) : schema;
+  const node = pointer.split('/').filter(Boolean).reduce((node, key) => node?.[key], target);
+  if (!node) throw new Error(`Unresolved schema $ref ${ref}`);
+  return { node, root: target };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+  'uri': value => /^https?:\/\//i.test(value)
+};
+
+// Returns a list of "path: problem" strings; empty when the value is valid
+function validate(value, schema, root = schema, at = '$') {
+  if (schema.$ref) {
+    const { node, root: refRoot } = resolveRef(schema.$ref, root);
+    return validate(value, node, refRoot, at);
+  }
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push(`${at}: not a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: less than ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing ${key}`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propSchema, root, `${at}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, root, `${at}[${i}]`)));
+  }
+
+  return errors;
+}
+
+function validateDataFile(schemaName, data) {
+  return validate(data, loadSchema(schemaName));
+}
+
+// data/... even when DATA_DIR is somewhere else
+function displayName(file) {
+  const relative = path.relative(DATA_DIR, file);
+  return relative.startsWith('..') ? path.relative(ROOT_DIR, file) : path.join('data', relative);
+}
+
+function writeJson(file, data) {
+  const name = displayName(file);
+  writes.push(name);
+  if (DRY_RUN) {
+    console.log(`[dry run] Would write ${name}`);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+function readEntries(file, entries) {
+  try {
+    return entries(JSON.parse(fs.readFileSync(file, 'utf8'))) || [];
+  } catch (e) {
+    // Missing or unreadable: nothing worth protecting
+    return [];
+  }
+}
+
+function writeDataFile(file, data, { schema, force = FORCE }) {
+  const name = displayName(file);
+
+  const errors = validateDataFile(schema, data);
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 5).map(e => `  ${e}`).join('\n');
+    const more = errors.length > 5 ? `\n  ...and ${errors.length - 5} more` : '';
+    throw new Error(`Refusing to write ${name}: it doesn't match ${schema}.schema.json\n${shown}${more}`);
+  }
+
+  const entries = ENTRIES[schema];
+  if (entries && !force && entries(data).length === 0) {
+    const existing = readEntries(file, entries).length;
+    if (existing > 0) {
+      throw new Error(`Refusing to replace ${name} (${existing} entries) with an empty list; rerun with --force to write it anyway`);
+    }
+  }
+
+  writeJson(file, data);
+}
+
+// Files written since the last call, relative to the repo root
+function takeWrites() {
+  return writes.splice(0);
+}
+
+module.exports = { DATA_DIR, DRY_RUN, SCHEMA_DIR, validateDataFile, writeJson, writeDataFile, takeWrites };
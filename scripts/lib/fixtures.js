@@ -0,0 +1,92 @@
+/**
+ * Recorded API responses for offline runs
+ *
+ * A fixtures directory (scripts/fixtures/ by default) holds one JSON file
+ * per service, each a list of recorded responses:
+ *
+ *   {
+ *     "method": "GET",                      (default GET)
+ *     "url": "https://slack.com/api/conversations.history",
+ *     "query": { "channel": "C_BOOKMARKS" }, (optional)
+ *     "status": 200,                         (default 200)
+ *     "headers": { "Location": "..." },      (optional)
+ *     "body": { ... }                        JSON body, or
+ *     "text": "<html>..."                    a raw one
+ *   }
+ *
+ * A request matches an entry when the method and the URL without its query
+ * string are the same and every key in "query" has that value in the
+ * request. The first match wins, so list narrower entries (a Slack cursor
+ * page) before broader ones. A request with no match throws: nothing
+ * reaches the network.
+ *
+ * env.json in the same directory sets the environment (tokens, channel
+ * IDs) the recordings were made with. It has to be applied before the
+ * scripts are required, since they read process.env at load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { setFetch } = require('./http');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const ENV_FILE = 'env.json';
+
+function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && file !== ENV_FILE)
+    .sort()
+    .flatMap(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+function matches(entry, method, url) {
+  if ((entry.method || 'GET').toUpperCase() !== method) return false;
+  if (entry.url !== `${url.origin}${url.pathname}`) return false;
+  return Object.entries(entry.query || {}).every(([key, value]) => url.searchParams.get(key) === String(value));
+}
+
+function toResponse(entry) {
+  const isJson = entry.body !== undefined;
+  return new Response(isJson ? JSON.stringify(entry.body) : entry.text || '', {
+    status: entry.status || 200,
+    headers: {
+      'Content-Type': isJson ? 'application/json' : 'text/html',
+      ...entry.headers
+    }
+  });
+}
+
+// A fetch() that answers from the recordings in dir. Every request is
+// appended to .requests so tests can check what would have been sent.
+function fixtureFetch(dir = FIXTURES_DIR) {
+  const entries = loadFixtures(dir);
+
+  const fetchFixture = async (input, options = {}) => {
+    const method = (options.method || 'GET').toUpperCase();
+    const url = new URL(input);
+    fetchFixture.requests.push({ method, url: url.toString(), body: options.body ? String(options.body) : null });
+
+    const entry = entries.find(e => matches(e, method, url));
+    if (!entry) throw new Error(`No fixture for ${method} ${url}`);
+    return toResponse(entry);
+  };
+  fetchFixture.requests = [];
+
+  return fetchFixture;
+}
+
+function applyFixtureEnv(dir = FIXTURES_DIR) {
+  const file = path.join(dir, ENV_FILE);
+  if (!fs.existsSync(file)) return;
+  Object.assign(process.env, JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Point every script at the recordings in dir; returns the fixture fetch
+function useFixtures(dir = FIXTURES_DIR) {
+  applyFixtureEnv(dir);
+  const fetchFixture = fixtureFetch(dir);
+  setFetch(fetchFixture);
+  return fetchFixture;
+}
+
+module.exports = { FIXTURES_DIR, fixtureFetch, applyFixtureEnv, useFixtures };
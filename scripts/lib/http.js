@@ -0,0 +1,29 @@
+/**
+ * Injectable fetch for everything that talks to a remote API
+ *
+ * Modules call fetch() from here instead of the global so the feeds CLI
+ * (--fixtures) and the tests can swap in recorded responses with
+ * setFetch(); see lib/fixtures.js. setFetch(null) restores the real one.
+ *
+ * logPlannedRequest() is what --dry-run prints in place of a request that
+ * would change something remotely.
+ */
+
+const realFetch = (...args) => globalThis.fetch(...args);
+
+let impl = realFetch;
+
+function fetch(url, options) {
+  return impl(url, options);
+}
+
+function setFetch(fn) {
+  impl = fn || realFetch;
+}
+
+function logPlannedRequest(method, url, params) {
+  const fields = [...new URLSearchParams(params)].map(([key, value]) => `\n    ${key}=${value}`).join('');
+  console.log(`[dry run] ${method} ${url}${fields}`);
+}
+
+module.exports = { fetch, setFetch, logPlannedRequest };
@@ -0,0 +1,71 @@
+/**
+ * Minimal Last.fm API client shared by fetch-listening.js and the
+ * now-playing endpoint (api/now-playing.js)
+ *
+ * The user comes from site.json (lastfm.user, or LASTFM_USER); the API key
+ * only from the LASTFM_API_KEY environment variable.
+ */
+
+const { fetch } = require('./http');
+const { loadSite, userAgent } = require('./site');
+
+const LASTFM_API_KEY = process.env.LASTFM_API_KEY;
+const LASTFM_USER = loadSite().lastfm.user;
+const USER_AGENT = userAgent();
+
+async function lastfm(method, params = {}) {
+  if (!LASTFM_API_KEY) {
+    throw new Error('Missing LASTFM_API_KEY (get one from https://www.last.fm/api/account/create)');
+  }
+
+  const query = new URLSearchParams({
+    method,
+    user: LASTFM_USER,
+    api_key: LASTFM_API_KEY,
+    format: 'json',
+    ...params
+  });
+
+  const response = await fetch(`https://ws.audioscrobbler.com/2.0/?${query}`, {
+    headers: { 'User-Agent': USER_AGENT }
+  });
+
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    console.error(`Failed to parse ${method} response:`, text.slice(0, 200));
+    throw e;
+  }
+
+  if (data.error) {
+    throw new Error(`Last.fm ${method} error ${data.error}: ${data.message}`);
+  }
+
+  return data;
+}
+
+function largeImage(images) {
+  return images?.find(img => img.size === 'large')?.['#text'] || null;
+}
+
+// The track currently scrobbling, or null if nothing is playing
+async function getNowPlaying() {
+  const data = await lastfm('user.getrecenttracks', { limit: '1' });
+  const track = data.recenttracks?.track?.[0];
+
+  if (!track || track['@attr']?.nowplaying !== 'true') {
+    return null;
+  }
+
+  return {
+    title: track.name,
+    artist: track.artist['#text'],
+    album: track.album['#text'],
+    image: largeImage(track.image),
+    lastfmUrl: track.url
+  };
+}
+
+module.exports = { LASTFM_USER, lastfm, largeImage, getNowPlaying };
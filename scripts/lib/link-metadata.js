@@ -0,0 +1,127 @@
+/**
+ * Link metadata extraction for bookmarks
+ *
+ * parseLinkMetadata() works on an HTML string so it can run against saved
+ * fixtures offline; fetchLinkMetadata() downloads the page and parses it,
+ * caching the result in data/cache/link-metadata.json.
+ *
+ * Title preference: og:title, twitter:title, then <title>.
+ */
+
+const { fetch } = require('./http');
+const { openCache } = require('./cache');
+const { canonicalizeUrl } = require('./urls');
+const { userAgent } = require('./site');
+
+const USER_AGENT = userAgent();
+const FETCH_TIMEOUT_MS = 5000;
+
+// Pages that couldn't be fetched (network errors, 403/404s, bot checks)
+// are retried after a day
+const cache = openCache('link-metadata', { ttlDays: 30, negativeTtlDays: 1, normalizeKey: canonicalizeUrl });
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', middot: '·', bull: '•',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™'
+};
+
+function decodeEntities(text) {
+  if (!text) return text;
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      try {
+        return String.fromCodePoint(point);
+      } catch (e) {
+        return entity;
+      }
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+function cleanText(text) {
+  if (!text) return null;
+  const cleaned = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  return cleaned || null;
+}
+
+// Parses the attributes of a single tag, e.g. `<meta property="og:title" content="...">`
+function parseAttributes(tag) {
+  const attrs = {};
+  const attrRegex = /([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+  let match;
+  while ((match = attrRegex.exec(tag)) !== null) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attrs;
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const resolved = new URL(decodeEntities(href), baseUrl);
+    return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.toString() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseLinkMetadata(html, baseUrl) {
+  const meta = {};
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    const attrs = parseAttributes(tag);
+    const key = (attrs.property || attrs.name || '').toLowerCase();
+    if (key && attrs.content !== undefined && !(key in meta)) {
+      meta[key] = attrs.content;
+    }
+  }
+
+  const links = (html.match(/<link\b[^>]*>/gi) || []).map(parseAttributes);
+  const findLink = (...rels) => {
+    for (const rel of rels) {
+      const link = links.find(l => (l.rel || '').toLowerCase().split(/\s+/).includes(rel));
+      if (link && link.href) return link.href;
+    }
+    return null;
+  };
+
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || (titleTag && titleTag[1])),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta['description']),
+    image: resolveUrl(meta['og:image'] || meta['twitter:image'], baseUrl),
+    siteName: cleanText(meta['og:site_name'] || meta['application-name']),
+    canonicalUrl: resolveUrl(findLink('canonical') || meta['og:url'], baseUrl),
+    favicon: resolveUrl(findLink('icon', 'shortcut', 'apple-touch-icon') || '/favicon.ico', baseUrl)
+  };
+}
+
+async function fetchLinkMetadata(url) {
+  return cache.wrap(url, async () => {
+    try {
+      const response = await fetch(url, {
+        headers: { 'User-Agent': USER_AGENT },
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+      });
+      // An error page's title isn't the page's
+      if (!response.ok) {
+        console.log(`Could not fetch metadata for ${url}: HTTP ${response.status}`);
+        return null;
+      }
+      const html = await response.text();
+      return parseLinkMetadata(html, response.url || url);
+    } catch (e) {
+      console.log(`Could not fetch metadata for ${url}:`, e.message);
+    }
+    return null;
+  });
+}
+
+module.exports = { decodeEntities, parseLinkMetadata, fetchLinkMetadata };
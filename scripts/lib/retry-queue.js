@@ -0,0 +1,108 @@
+/**
+ * Retry bookkeeping for items the micro.blog syncs fail to post
+ *
+ * Failures live in the sync state file under `failures`, keyed the same
+ * way as the synced items (URL for bookmarks, "title|author" for books):
+ *
+ *   { attempts, lastError, lastAttempt, nextRetry, failed }
+ *
+ * Each failure doubles the wait before the next attempt, starting at one
+ * scheduled run (6h) and capped at a week. The retry time is set a little
+ * early (RETRY_GRACE_MINUTES) because the failure is recorded partway
+ * through a run and the next cron run starts on the hour: without it every
+ * retry would slip to the run after. After MAX_ATTEMPTS the item is
+ * marked failed and skipped for good; pass --retry-failed to give every
+ * failed item another round of attempts.
+ */
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_HOURS = 6;
+const MAX_DELAY_HOURS = 7 * 24;
+const RETRY_GRACE_MINUTES = 30;
+
+const RETRY_FAILED = process.argv.includes('--retry-failed');
+
+// Clears permanent failures when --retry-failed is passed
+function loadFailures(failures = {}) {
+  if (RETRY_FAILED) {
+    for (const [key, entry] of Object.entries(failures)) {
+      if (entry.failed) delete failures[key];
+    }
+  }
+  return failures;
+}
+
+// Drops entries for items that are no longer waiting to be synced
+function pruneFailures(failures, pendingKeys) {
+  const pending = new Set(pendingKeys);
+  for (const key of Object.keys(failures)) {
+    if (!pending.has(key)) delete failures[key];
+  }
+}
+
+function shouldAttempt(failures, key, now = new Date()) {
+  const entry = failures[key];
+  if (!entry) return true;
+  if (entry.failed) return false;
+  return now >= new Date(entry.nextRetry);
+}
+
+function backoffHours(attempts) {
+  return Math.min(BASE_DELAY_HOURS * 2 ** (attempts - 1), MAX_DELAY_HOURS);
+}
+
+function recordFailure(failures, key, error, now = new Date()) {
+  const attempts = (failures[key]?.attempts || 0) + 1;
+  const failed = attempts >= MAX_ATTEMPTS;
+  failures[key] = {
+    attempts,
+    lastError: error.message || String(error),
+    lastAttempt: now.toISOString(),
+    nextRetry: failed ? null : new Date(now.getTime() + (backoffHours(attempts) * 60 - RETRY_GRACE_MINUTES) * 60 * 1000).toISOString(),
+    failed
+  };
+  return failures[key];
+}
+
+function recordSuccess(failures, key) {
+  delete failures[key];
+}
+
+// Logs every item still failing and returns the counts for the summary
+function reportFailures(failures) {
+  const entries = Object.entries(failures);
+  const failed = entries.filter(([, entry]) => entry.failed);
+  const waiting = entries.filter(([, entry]) => !entry.failed);
+
+  if (waiting.length > 0) {
+    console.log(`${waiting.length} items waiting to retry:`);
+    for (const [key, entry] of waiting) {
+      console.log(`  - ${key} (attempt ${entry.attempts}, next ${entry.nextRetry}): ${entry.lastError}`);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.log(`${failed.length} items gave up after ${MAX_ATTEMPTS} attempts (rerun with --retry-failed to try again):`);
+    for (const [key, entry] of failed) {
+      console.log(`  - ${key}: ${entry.lastError}`);
+    }
+  }
+
+  return { waiting: waiting.length, failed: failed.length };
+}
+
+// ", 2 waiting to retry, 1 failed" for the sync summaries
+function describeFailures({ waiting, failed }) {
+  return `${waiting ? `, ${waiting} waiting to retry` : ''}${failed ? `, ${failed} failed` : ''}`;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  loadFailures,
+  pruneFailures,
+  shouldAttempt,
+  recordFailure,
+  recordSuccess,
+  reportFailures,
+  describeFailures
+};
@@ -0,0 +1,92 @@
+/**
+ * Shared page shell: <head> meta and the pill nav
+ *
+ * site.json (loaded through lib/site.js) is the single source for page
+ * titles, descriptions, Open Graph tags, feed links and nav items; its
+ * `browser` settings are injected into every page as window.SiteConfig.
+ * scripts/build.js writes the output of these functions into each page's
+ * `render:head` and `render:nav` regions. Adding a page means adding it to
+ * site.json (and to `nav` if it should be linked).
+ *
+ * Generated pages that aren't in site.json (writing/<slug>.html) pass their
+ * own title and description; links and assets are made relative to the
+ * page's directory.
+ */
+
+function escapeAttr(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// "../" for each directory between the page and the site root
+function rootPath(page) {
+  return '../'.repeat(page.split('/').length - 1);
+}
+
+function pageTitle(site, meta) {
+  return meta?.title ? `${meta.title} - ${site.name}` : site.name;
+}
+
+// <link rel="alternate"> for the combined feed, plus the feeds of the
+// streams shown on this page (see lib/syndication.js)
+function renderFeedLinks(site, page, root) {
+  const feeds = Object.entries(site.feeds || {}).filter(([name, feed]) => name === 'all' || feed.page === page);
+  return feeds.map(([name, feed]) => {
+    const title = escapeAttr(name === 'all' ? site.name : `${site.name}: ${feed.title}`);
+    return `  <link rel="alternate" type="application/atom+xml" title="${title}" href="${root}feeds/${name}.xml">
+  <link rel="alternate" type="application/feed+json" title="${title}" href="${root}feeds/${name}.json">`;
+  }).join('\n');
+}
+
+// JSON inside <script>: keep "</script>" and friends from ending it early
+function renderConfig(site) {
+  const json = JSON.stringify(site.browser || {}).replace(/</g, '\\u003c');
+  return `  <script>window.SiteConfig = ${json};</script>`;
+}
+
+function renderHead(site, page, meta = site.pages[page]) {
+  const root = rootPath(page);
+  const title = escapeAttr(pageTitle(site, meta));
+  const description = escapeAttr(meta?.description || '');
+  const image = escapeAttr(root + site.ogImage);
+  const type = meta?.type || 'website';
+
+  return `
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <link rel="icon" type="image/svg+xml" href="${root}favicon.svg">
+  <link rel="apple-touch-icon" href="${root}images/apple-touch-icon.png">
+${renderFeedLinks(site, page, root)}
+
+  <!-- Open Graph / Social -->
+  <meta property="og:title" content="${title}">
+  <meta property="og:description" content="${description}">
+  <meta property="og:image" content="${image}">
+  <meta property="og:type" content="${type}">
+  <meta name="twitter:card" content="summary">
+  <meta name="twitter:image" content="${image}">
+
+  <link href="https://api.fontshare.com/v2/css?f[]=general-sans@300,400,500&display=swap" rel="stylesheet">
+
+  <link rel="stylesheet" href="${root}styles.css">
+${renderConfig(site)}
+  `;
+}
+
+function renderNav(site, page) {
+  const root = rootPath(page);
+  const items = site.nav.map(item => {
+    const classes = ['nav-item'];
+    if (item.href === page) classes.push('active');
+    if (item.live) classes.push('live');
+    return `    <a href="${root}${item.href}" class="${classes.join(' ')}">${item.label}</a>`;
+  });
+
+  return `
+  <nav class="pill-nav">
+${items.join('\n')}
+  </nav>
+  `;
+}
+
+module.exports = { rootPath, renderHead, renderNav };
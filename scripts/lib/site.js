@@ -0,0 +1,49 @@
+/**
+ * Site config: site.json plus environment overrides
+ *
+ * site.json holds everything that identifies whose site this is: name and
+ * URL, page meta, nav, feeds, the Last.fm user, the micro.blog feed and Now
+ * tag, and under `browser` the settings the pages themselves need (contact
+ * form endpoint, now-playing endpoint). Forking the setup for another
+ * profile means editing that one file.
+ *
+ * Any of the values in ENV_OVERRIDES can be replaced from the environment
+ * without touching the file, e.g. `LASTFM_USER=someone node scripts/feeds.js
+ * fetch listening`. Secrets (API keys, tokens) never go in site.json; they
+ * stay in the environment only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE_FILE = path.join(__dirname, '..', '..', 'site.json');
+
+// Environment variable → path in site.json
+const ENV_OVERRIDES = {
+  SITE_NAME: ['name'],
+  SITE_URL: ['url'],
+  LASTFM_USER: ['lastfm', 'user'],
+  MICROBLOG_FEED_URL: ['microblog', 'feedUrl'],
+  NOW_TAG: ['microblog', 'nowTag'],
+  CONTACT_FORM_ENDPOINT: ['browser', 'contactFormEndpoint'],
+  NOW_PLAYING_ENDPOINT: ['browser', 'nowPlayingEndpoint']
+};
+
+function loadSite() {
+  const site = JSON.parse(fs.readFileSync(SITE_FILE, 'utf8'));
+
+  for (const [name, keys] of Object.entries(ENV_OVERRIDES)) {
+    if (!process.env[name]) continue;
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), site);
+    parent[keys[keys.length - 1]] = process.env[name];
+  }
+
+  return site;
+}
+
+// User-Agent for API calls, naming the site so providers know who to contact
+function userAgent(site = loadSite()) {
+  return `${site.name.replace(/\s+/g, '')}Portfolio/1.0 (+${site.url})`;
+}
+
+module.exports = { SITE_FILE, ENV_OVERRIDES, loadSite, userAgent };
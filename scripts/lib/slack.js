@@ -0,0 +1,78 @@
+/**
+ * Shared Slack client for the fetch/sync scripts
+ *
+ * Reads a channel's history via conversations.history, following
+ * response_metadata.next_cursor until every page has been read.
+ *
+ * Options:
+ *   - token: Slack bot token (defaults to SLACK_BOT_TOKEN)
+ *   - oldest: only return messages after this Slack ts (for incremental pulls)
+ *   - pageSize: messages requested per page (Slack caps this at 999)
+ *   - maxPages: safety limit on the number of pages fetched
+ */
+
+const { fetch } = require('./http');
+
+const SLACK_API_URL = 'https://slack.com/api/conversations.history';
+const DEFAULT_PAGE_SIZE = 200;
+const DEFAULT_MAX_PAGES = 50;
+const MAX_RETRIES = 5;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function fetchPage(params, token) {
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    const response = await fetch(`${SLACK_API_URL}?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    // Rate limited: wait for as long as Slack asks, then try again
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 1;
+      console.log(`Slack rate limit hit, retrying in ${retryAfter}s...`);
+      await sleep(retryAfter * 1000);
+      continue;
+    }
+
+    return response.json();
+  }
+
+  return { ok: false, error: 'ratelimited' };
+}
+
+async function fetchSlackMessages(channelId, options = {}) {
+  const {
+    token = process.env.SLACK_BOT_TOKEN,
+    oldest,
+    pageSize = DEFAULT_PAGE_SIZE,
+    maxPages = DEFAULT_MAX_PAGES
+  } = options;
+
+  const messages = [];
+  let cursor;
+
+  for (let page = 0; page < maxPages; page++) {
+    const params = new URLSearchParams({ channel: channelId, limit: String(pageSize) });
+    if (oldest) params.set('oldest', String(oldest));
+    if (cursor) params.set('cursor', cursor);
+
+    const data = await fetchPage(params, token);
+
+    // Fail loudly: an empty result would look like an empty channel
+    if (!data.ok) {
+      throw new Error(`Slack API error: ${data.error}`);
+    }
+
+    messages.push(...(data.messages || []));
+
+    cursor = data.response_metadata?.next_cursor;
+    if (!cursor) break;
+  }
+
+  return messages;
+}
+
+module.exports = { fetchSlackMessages };
@@ -0,0 +1,183 @@
+/**
+ * Atom and JSON Feed output for the site's streams
+ *
+ * Each stream turns one data file into feed items:
+ *   - now:       Now posts (data/microblog.json)
+ *   - writing:   other micro.blog posts (data/writing.json)
+ *   - bookmarks: recent bookmarks (data/bookmarks.json)
+ *   - reading:   one item per book event: wanted, started, finished,
+ *                abandoned (data/reading.json)
+ *   - listening: played tracks (data/listening.json)
+ * and `all` combines them. site.json's `feeds` lists which ones are
+ * published; scripts/build.js writes feeds/<name>.xml and feeds/<name>.json
+ * and lib/shell.js links them from each page's <head>.
+ *
+ * Item ids have to stay the same from build to build or feed readers show
+ * everything again, so they come from the source, never from the order or
+ * the build time: micro.blog's post ids, and tag: URIs built from a
+ * bookmark's canonical URL, a book's key plus the event, or a track's play
+ * time.
+ */
+
+const render = require('../../render');
+const { escapeHtml, sanitizeHtml } = require('../../sanitize');
+const { canonicalizeUrl } = require('./urls');
+const { bookKey } = require('./books');
+
+// Part of every tag: id; changing it changes every id
+const TAG_DATE = '2026';
+const FEED_LIMIT = 50;
+
+function tagId(site, specific) {
+  return `tag:${new URL(site.url).hostname},${TAG_DATE}:${specific}`;
+}
+
+function absoluteUrl(site, href) {
+  return new URL(href, `${site.url}/`).toString();
+}
+
+function textParagraph(text) {
+  return text ? `<p>${escapeHtml(text)}</p>` : '';
+}
+
+// Streams: data → [{ id, url, title, html, date, tags }]
+
+const STREAMS = {
+  // Linked to the post on micro.blog: the now.html?date= archive ids get a
+  // -2 suffix for a second post on the same day, so they can shift
+  now: (site, { microblog }) => {
+    const posts = microblog.posts || [];
+    return posts.map((post, i) => ({
+      id: post.id,
+      url: post.url || absoluteUrl(site, 'now.html'),
+      title: render.nowHeading(posts, i),
+      html: sanitizeHtml(post.content),
+      date: post.date,
+      tags: ['now']
+    }));
+  },
+
+  writing: (site, { writing }) => (writing.posts || []).map(post => ({
+    id: post.id,
+    url: absoluteUrl(site, render.writingPostHref(post)),
+    title: post.title,
+    html: sanitizeHtml(post.content),
+    date: post.date,
+    tags: ['writing', ...(post.tags || [])]
+  })),
+
+  bookmarks: (site, { bookmarks }) => (bookmarks.bookmarks || []).map(bookmark => ({
+    id: tagId(site, `bookmarks/${canonicalizeUrl(bookmark.url)}`),
+    url: bookmark.url,
+    title: bookmark.title,
+    html: textParagraph(bookmark.note || bookmark.description),
+    date: bookmark.date,
+    tags: ['bookmarks', ...(bookmark.tags || [])]
+  })),
+
+  reading: (site, { reading }) => (reading.books || []).flatMap(book => {
+    const byline = book.author && book.author !== 'Unknown' ? ` by ${book.author}` : '';
+    const events = [
+      ['want-to-read', 'Want to read', book.status === 'want-to-read' && book.addedAt],
+      ['started', 'Started reading', book.startedAt],
+      ['finished', 'Finished', book.status === 'finished' && book.finishedAt],
+      ['abandoned', 'Stopped reading', book.status === 'abandoned' && book.finishedAt]
+    ];
+    return events.filter(([, , date]) => date).map(([event, verb, date]) => ({
+      id: tagId(site, `reading/${encodeURIComponent(bookKey(book))}/${event}`),
+      url: book.link || absoluteUrl(site, 'media.html'),
+      title: `${verb}: ${book.title}${byline}`,
+      html: '',
+      date,
+      tags: ['reading']
+    }));
+  }),
+
+  listening: (site, { listening }) => (listening.tracks || [])
+    .filter(track => track.playedAt && !track.nowPlaying)
+    .map(track => ({
+      id: tagId(site, `listening/${track.playedAt}`),
+      url: track.url || track.lastfmUrl,
+      title: `${track.title} – ${track.artist}`,
+      html: track.album ? textParagraph(`From ${track.album}`) : '',
+      date: track.playedAt,
+      tags: ['listening']
+    }))
+};
+
+// Items for a feed in site.json, newest first. `all` merges the other
+// feeds listed there.
+function feedItems(site, name, data) {
+  const streams = name === 'all' ? Object.keys(site.feeds).filter(n => n !== 'all') : [name];
+  return streams
+    .flatMap(stream => STREAMS[stream](site, data))
+    .filter(item => item.url && item.date)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, FEED_LIMIT);
+}
+
+function feedMeta(site, name) {
+  const feed = site.feeds[name];
+  return {
+    title: name === 'all' ? site.name : `${site.name}: ${feed.title}`,
+    id: tagId(site, `feeds/${name}`),
+    homeUrl: absoluteUrl(site, feed.page || 'index.html'),
+    atomUrl: absoluteUrl(site, `feeds/${name}.xml`),
+    jsonUrl: absoluteUrl(site, `feeds/${name}.json`)
+  };
+}
+
+function xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function isoDate(date) {
+  return new Date(date).toISOString();
+}
+
+function toAtom(site, name, items) {
+  const meta = feedMeta(site, name);
+  const updated = items.length > 0 ? isoDate(items[0].date) : isoDate(0);
+
+  const entries = items.map(item => `
+  <entry>
+    <id>${xml(item.id)}</id>
+    <title>${xml(item.title)}</title>
+    <link rel="alternate" href="${xml(item.url)}"/>
+    <published>${isoDate(item.date)}</published>
+    <updated>${isoDate(item.date)}</updated>
+${item.tags.map(tag => `    <category term="${xml(tag)}"/>\n`).join('')}${item.html ? `    <content type="html">${xml(item.html)}</content>\n` : ''}  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xml(meta.id)}</id>
+  <title>${xml(meta.title)}</title>
+  <link rel="self" href="${xml(meta.atomUrl)}"/>
+  <link rel="alternate" type="text/html" href="${xml(meta.homeUrl)}"/>
+  <updated>${updated}</updated>
+  <author><name>${xml(site.name)}</name></author>${entries.join('')}
+</feed>
+`;
+}
+
+function toJsonFeed(site, name, items) {
+  const meta = feedMeta(site, name);
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    home_page_url: meta.homeUrl,
+    feed_url: meta.jsonUrl,
+    authors: [{ name: site.name }],
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.html || `<p>${escapeHtml(item.title)}</p>`,
+      date_published: isoDate(item.date),
+      tags: item.tags
+    }))
+  };
+  return JSON.stringify(feed, null, 2);
+}
+
+module.exports = { STREAMS, feedItems, feedMeta, toAtom, toJsonFeed };
@@ -0,0 +1,159 @@
+/**
+ * Track link resolver for fetch-listening.js
+ *
+ * Maps artist/title/album to a link for the song itself instead of a
+ * search page. Providers are tried in order until one returns a match:
+ *
+ *   - spotify:     Spotify Web API search (needs SPOTIFY_CLIENT_ID and
+ *                  SPOTIFY_CLIENT_SECRET; skipped without them)
+ *   - apple:       iTunes Search API (no credentials)
+ *   - musicbrainz: MusicBrainz recording page
+ *
+ * Set TRACK_LINK_PROVIDERS (e.g. "apple,musicbrainz") to change the order
+ * or drop providers. Results, including misses, are cached per track in
+ * data/cache/track-links.json; the Spotify search URL is only used when
+ * nothing matches.
+ */
+
+const { fetch } = require('./http');
+const { openCache } = require('./cache');
+const { userAgent } = require('./site');
+
+const DEFAULT_PROVIDERS = 'spotify,apple,musicbrainz';
+const USER_AGENT = userAgent();
+
+// Tracks with no match are retried after two weeks
+const cache = openCache('track-links', { ttlDays: 180, negativeTtlDays: 14, normalizeKey: key => key.toLowerCase() });
+
+// "Roxanne - Remastered 2003" and "Roxanne (Remastered)" both match "Roxanne"
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\s+[-–]\s+.*(remaster|version|edit|live|mono|stereo).*$/, '')
+    .replace(/\s*[([].*?[)\]]/g, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function isMatch(track, title, artist) {
+  return normalize(title) === normalize(track.title)
+    && normalize(artist).includes(normalize(track.artist));
+}
+
+function searchUrl(track) {
+  return `https://open.spotify.com/search/${encodeURIComponent(track.artist + ' ' + track.title)}`;
+}
+
+let spotifyToken = null;
+
+async function getSpotifyToken() {
+  if (spotifyToken) return spotifyToken;
+
+  const credentials = Buffer.from(`${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`).toString('base64');
+  const response = await fetch('https://accounts.spotify.com/api/token', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ grant_type: 'client_credentials' })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Spotify token error ${response.status}`);
+  }
+
+  spotifyToken = (await response.json()).access_token;
+  return spotifyToken;
+}
+
+const providers = {
+  async spotify(track) {
+    if (!process.env.SPOTIFY_CLIENT_ID || !process.env.SPOTIFY_CLIENT_SECRET) return null;
+
+    const params = new URLSearchParams({
+      q: `track:${track.title} artist:${track.artist}`,
+      type: 'track',
+      limit: '5'
+    });
+    const response = await fetch(`https://api.spotify.com/v1/search?${params}`, {
+      headers: { 'Authorization': `Bearer ${await getSpotifyToken()}` }
+    });
+    if (!response.ok) throw new Error(`Spotify search error ${response.status}`);
+
+    const data = await response.json();
+    const match = (data.tracks?.items || []).find(item =>
+      isMatch(track, item.name, item.artists.map(a => a.name).join(' '))
+    );
+    return match ? match.external_urls.spotify : null;
+  },
+
+  async apple(track) {
+    const params = new URLSearchParams({
+      term: `${track.artist} ${track.title}`,
+      entity: 'song',
+      limit: '5'
+    });
+    const response = await fetch(`https://itunes.apple.com/search?${params}`, {
+      headers: { 'User-Agent': USER_AGENT }
+    });
+    if (!response.ok) throw new Error(`iTunes search error ${response.status}`);
+
+    const data = await response.json();
+    const match = (data.results || []).find(item => isMatch(track, item.trackName, item.artistName));
+    return match ? match.trackViewUrl : null;
+  },
+
+  async musicbrainz(track) {
+    const params = new URLSearchParams({
+      query: `recording:"${track.title}" AND artist:"${track.artist}"`,
+      fmt: 'json',
+      limit: '5'
+    });
+    const response = await fetch(`https://musicbrainz.org/ws/2/recording?${params}`, {
+      headers: { 'User-Agent': USER_AGENT }
+    });
+    if (!response.ok) throw new Error(`MusicBrainz search error ${response.status}`);
+
+    const data = await response.json();
+    const match = (data.recordings || []).find(item =>
+      isMatch(track, item.title, (item['artist-credit'] || []).map(c => c.name).join(' '))
+    );
+    return match ? `https://musicbrainz.org/recording/${match.id}` : null;
+  }
+};
+
+function providerOrder() {
+  return (process.env.TRACK_LINK_PROVIDERS || DEFAULT_PROVIDERS)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => providers[name]);
+}
+
+// Returns { url, source } where source is the provider name, or "search"
+// for the fallback Spotify search URL
+async function resolveTrackLink(track) {
+  const key = `${track.artist}|${track.title}`;
+
+  let errored = false;
+  const match = await cache.wrap(key, async () => {
+    for (const name of providerOrder()) {
+      try {
+        const url = await providers[name](track);
+        if (url) return { url, source: name };
+      } catch (e) {
+        console.log(`  ${name} lookup failed for ${track.title}:`, e.message);
+        errored = true;
+      }
+    }
+    // Don't cache a miss caused by a provider being down
+    if (errored) throw new Error('lookup failed');
+    return null;
+  }).catch(() => null);
+
+  return match || { url: searchUrl(track), source: 'search' };
+}
+
+module.exports = { resolveTrackLink, providers };
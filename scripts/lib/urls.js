@@ -0,0 +1,58 @@
+/**
+ * URL canonicalization shared by the bookmarks archive and micro.blog sync
+ *
+ * canonicalizeUrl() produces the dedupe key for a link: https scheme,
+ * lowercase host, no fragment, no tracking params, no trailing slash.
+ * Two links that only differ in those ways are the same bookmark.
+ */
+
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid', 'mc_cid', 'mc_eid',
+  'mkt_tok', '_hsenc', '_hsmi', 'ref_src', 'ref_url', 'si'
+]);
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.has(lower);
+}
+
+function canonicalizeUrl(url) {
+  if (!url) return url;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (e) {
+    return url;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  parsed.hash = '';
+
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (isTrackingParam(name)) parsed.searchParams.delete(name);
+  }
+
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  // URL keeps a bare "?" when every param was removed
+  return parsed.toString().replace(/\?$/, '');
+}
+
+// Every key a bookmark should be found under: its own URL and, when the
+// page declared one, its <link rel="canonical">.
+function urlKeys(url, canonicalUrl) {
+  const keys = [canonicalizeUrl(url)];
+  if (canonicalUrl) {
+    const canonicalKey = canonicalizeUrl(canonicalUrl);
+    if (!keys.includes(canonicalKey)) keys.push(canonicalKey);
+  }
+  return keys;
+}
+
+module.exports = { canonicalizeUrl, urlKeys };
@@ -0,0 +1,33 @@
+/**
+ * Local stand-in for the now-playing endpoint
+ *
+ * Serves api/now-playing.js on http://localhost:8787/api/now-playing so the
+ * widget can be tried without deploying a serverless function:
+ *
+ *   node scripts/serve-now-playing.js [--port 8787]
+ *
+ * then rebuild the page shells with that as the endpoint:
+ *
+ *   NOW_PLAYING_ENDPOINT=http://localhost:8787/api/now-playing node scripts/build.js --shell
+ *
+ * (or set data-endpoint on the now-playing.js script tag).
+ */
+
+const http = require('http');
+const handler = require('../api/now-playing');
+
+const portIndex = process.argv.indexOf('--port');
+const PORT = portIndex !== -1 ? parseInt(process.argv[portIndex + 1], 10) : 8787;
+
+const server = http.createServer((req, res) => {
+  if (req.url.split('?')[0] !== '/api/now-playing') {
+    res.statusCode = 404;
+    res.end('Not found');
+    return;
+  }
+  handler(req, res);
+});
+
+server.listen(PORT, () => {
+  console.log(`Now playing endpoint at http://localhost:${PORT}/api/now-playing`);
+});
@@ -1,8 +1,22 @@
 /**
  * Sync bookmarks from Slack to Micro.blog
+ * Run with: node scripts/feeds.js sync microblog --only bookmarks
  *
  * Fetches URLs from a Slack channel and creates bookmarks on Micro.blog
- * via the Micropub API.
+ * via the Micropub API. Any note posted with the link becomes the post
+ * body and #hashtags become categories.
+ *
+ * Posted URLs are recorded in data/microblog-bookmarks-state.json. If that
+ * file falls behind (a state commit that never got pushed), run with
+ * --reconcile: it lists the bookmarks micro.blog actually has (Micropub
+ * q=source) and adds any the state is missing before posting anything.
+ * Entries micro.blog no longer has stay in the state, so a bookmark deleted
+ * there isn't posted again.
+ * --dry-run prints the Micropub requests instead of sending them.
+ *
+ * A bookmark that fails to post is retried with backoff and given up on
+ * after a few attempts (see lib/retry-queue.js); the state file records
+ * why under `failures`. --retry-failed starts those over.
  *
  * Required environment variables:
  *   - SLACK_BOT_TOKEN
@@ -12,79 +26,93 @@
 
 const fs = require('fs');
 const path = require('path');
+const { fetch, logPlannedRequest } = require('./lib/http');
+const { fetchSlackMessages } = require('./lib/slack');
+const { DATA_DIR, DRY_RUN, writeJson } = require('./lib/data-file');
+const { canonicalizeUrl } = require('./lib/urls');
+const { parseBookmarkMessage } = require('./lib/bookmark-message');
+const { loadFailures, pruneFailures, shouldAttempt, recordFailure, recordSuccess, reportFailures, describeFailures } = require('./lib/retry-queue');
 
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 const SLACK_CHANNEL_ID = process.env.SLACK_CHANNEL_ID;
 const MICROBLOG_TOKEN = process.env.MICROBLOG_TOKEN;
 
-const STATE_FILE = path.join(__dirname, '..', 'data', 'microblog-bookmarks-state.json');
+const MICROPUB_URL = 'https://micro.blog/micropub';
+const RECONCILE = process.argv.includes('--reconcile');
+const SOURCE_PAGE_SIZE = 100;
+const MAX_SOURCE_PAGES = 50;
+
+const STATE_FILE = path.join(DATA_DIR, 'microblog-bookmarks-state.json');
 
 function loadState() {
+  let state = { syncedUrls: [], failures: {}, lastSync: null };
   try {
     if (fs.existsSync(STATE_FILE)) {
-      return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      state = { ...state, ...JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')) };
     }
   } catch (e) {
     console.log('Could not load state file, starting fresh');
   }
-  return { syncedUrls: [], lastSync: null };
+  state.failures = loadFailures(state.failures);
+  return state;
 }
 
 function saveState(state) {
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+  writeJson(STATE_FILE, state);
 }
 
-async function fetchSlackMessages() {
-  const response = await fetch(`https://slack.com/api/conversations.history?channel=${SLACK_CHANNEL_ID}&limit=50`, {
-    headers: {
-      'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/json'
-    }
-  });
+function extractBookmarks(messages) {
+  const bookmarks = [];
+  const seen = new Set();
 
-  const data = await response.json();
+  for (const msg of messages) {
+    const { links, note, tags } = parseBookmarkMessage(msg.text || '');
 
-  if (!data.ok) {
-    console.error('Slack API error:', data.error);
-    return [];
-  }
+    for (const link of links) {
+      // Skip Slack internal links
+      if (link.url.includes('slack.com')) continue;
 
-  return data.messages || [];
-}
+      // Remove duplicates by canonical URL, but post the link as shared:
+      // canonicalizing can change it (https, no query) into one that
+      // doesn't work
+      const key = canonicalizeUrl(link.url);
+      if (seen.has(key)) continue;
+      seen.add(key);
 
-function extractUrls(messages) {
-  const urls = [];
-  const urlRegex = /<(https?:\/\/[^>|]+)(?:\|([^>]+))?>/g;
+      bookmarks.push({ url: link.url, key, note, tags });
+    }
+  }
 
-  for (const msg of messages) {
-    const text = msg.text || '';
-    let match;
+  return bookmarks;
+}
 
-    while ((match = urlRegex.exec(text)) !== null) {
-      const url = match[1];
+async function createMicroblogBookmark(bookmark) {
+  const params = new URLSearchParams({
+    'h': 'entry',
+    'bookmark-of': bookmark.url
+  });
 
-      // Skip Slack internal links
-      if (url.includes('slack.com')) continue;
+  // The note posted alongside the link in Slack becomes the post body
+  if (bookmark.note) {
+    params.set('content', bookmark.note);
+  }
 
-      urls.push(url);
-    }
+  for (const tag of bookmark.tags || []) {
+    params.append('category[]', tag);
   }
 
-  // Remove duplicates
-  return [...new Set(urls)];
-}
+  if (DRY_RUN) {
+    logPlannedRequest('POST', MICROPUB_URL, params);
+    return null;
+  }
 
-async function createMicroblogBookmark(url) {
-  const response = await fetch('https://micro.blog/micropub', {
+  const response = await fetch(MICROPUB_URL, {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${MICROBLOG_TOKEN}`,
       'Content-Type': 'application/x-www-form-urlencoded'
     },
-    body: new URLSearchParams({
-      'h': 'entry',
-      'bookmark-of': url
-    })
+    body: params
   });
 
   if (!response.ok) {
@@ -95,55 +123,119 @@ async function createMicroblogBookmark(url) {
   return response.headers.get('Location');
 }
 
-async function main() {
+// Canonical URLs of every bookmark micro.blog has, read back through
+// Micropub q=source a page at a time. A partial list would make the
+// bookmarks left off it look unposted, so anything short of reaching the
+// last page throws.
+async function getMicroblogBookmarkUrls() {
+  const urls = new Set();
+  const seen = new Set();
+  let offset = 0;
+
+  for (let page = 0; page < MAX_SOURCE_PAGES; page++) {
+    const params = new URLSearchParams({ q: 'source', limit: String(SOURCE_PAGE_SIZE), offset: String(offset) });
+    const response = await fetch(`${MICROPUB_URL}?${params}`, {
+      headers: { 'Authorization': `Bearer ${MICROBLOG_TOKEN}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Micropub q=source error ${response.status}`);
+    }
+
+    const items = (await response.json()).items || [];
+    const before = seen.size;
+    for (const item of items) {
+      seen.add(JSON.stringify(item));
+      for (const url of item.properties?.['bookmark-of'] || []) {
+        urls.add(canonicalizeUrl(url));
+      }
+    }
+
+    if (items.length < SOURCE_PAGE_SIZE) return urls;
+    if (seen.size === before) {
+      throw new Error(`Micropub q=source returned the same posts again at offset ${offset}; it may not support offset`);
+    }
+    offset += items.length;
+  }
+
+  throw new Error(`Micropub q=source still had more posts after ${MAX_SOURCE_PAGES} pages; not reconciling against a partial list`);
+}
+
+// Records the bookmarks micro.blog has that the state doesn't. Ones only
+// in the state are kept: they were most likely deleted on micro.blog.
+async function reconcileState(state) {
+  console.log('Reconciling with micro.blog...');
+  const remote = await getMicroblogBookmarkUrls();
+  const local = new Set(state.syncedUrls.map(canonicalizeUrl));
+
+  const unrecorded = [...remote].filter(url => !local.has(url));
+  const missing = [...local].filter(url => !remote.has(url));
+  console.log(`micro.blog has ${remote.size} bookmarks: ${unrecorded.length} not in state, ${missing.length} in state but not on micro.blog (left alone)`);
+
+  state.syncedUrls.push(...unrecorded);
+  return state;
+}
+
+async function syncBookmarks() {
   console.log('Starting bookmark sync...');
   console.log('SLACK_BOT_TOKEN:', SLACK_BOT_TOKEN ? 'set' : 'MISSING');
   console.log('SLACK_CHANNEL_ID:', SLACK_CHANNEL_ID ? 'set' : 'MISSING');
   console.log('MICROBLOG_TOKEN:', MICROBLOG_TOKEN ? 'set' : 'MISSING');
 
   if (!SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID) {
-    console.error('Missing SLACK_BOT_TOKEN or SLACK_CHANNEL_ID');
-    process.exit(1);
+    throw new Error('Missing SLACK_BOT_TOKEN or SLACK_CHANNEL_ID');
   }
 
   if (!MICROBLOG_TOKEN) {
-    console.error('Missing MICROBLOG_TOKEN');
-    console.log('Get one from: https://micro.blog/account/apps');
-    process.exit(1);
+    throw new Error('Missing MICROBLOG_TOKEN (get one from https://micro.blog/account/apps)');
   }
 
   const state = loadState();
   console.log(`Previously synced ${state.syncedUrls.length} bookmarks`);
 
+  if (RECONCILE) {
+    await reconcileState(state);
+  }
+
   console.log('Fetching messages from Slack...');
-  const messages = await fetchSlackMessages();
+  const messages = await fetchSlackMessages(SLACK_CHANNEL_ID);
   console.log(`Found ${messages.length} messages`);
 
-  const urls = extractUrls(messages);
-  console.log(`Extracted ${urls.length} unique URLs`);
+  const bookmarks = extractBookmarks(messages);
+  console.log(`Extracted ${bookmarks.length} unique URLs`);
 
-  // Find new URLs not yet synced
-  const newUrls = urls.filter(url => !state.syncedUrls.includes(url));
-  console.log(`${newUrls.length} new bookmarks to sync`);
+  // Find new URLs not yet synced. Older state entries may predate
+  // canonicalization, so compare canonical forms on both sides.
+  const alreadySynced = new Set(state.syncedUrls.map(canonicalizeUrl));
+  const newBookmarks = bookmarks.filter(bookmark => !alreadySynced.has(bookmark.key));
+  console.log(`${newBookmarks.length} new bookmarks to sync`);
+  pruneFailures(state.failures, newBookmarks.map(bookmark => bookmark.key));
 
   let synced = 0;
-  for (const url of newUrls) {
+  for (const bookmark of newBookmarks) {
+    const { url, key } = bookmark;
+    if (!shouldAttempt(state.failures, key)) continue;
+
     try {
       console.log(`Creating bookmark: ${url}`);
-      await createMicroblogBookmark(url);
-      state.syncedUrls.push(url);
+      await createMicroblogBookmark(bookmark);
+      state.syncedUrls.push(key);
+      recordSuccess(state.failures, key);
       synced++;
       // Small delay to be nice to the API
-      await new Promise(r => setTimeout(r, 500));
+      if (!DRY_RUN) await new Promise(r => setTimeout(r, 500));
     } catch (e) {
       console.error(`Failed to create bookmark for ${url}:`, e.message);
+      recordFailure(state.failures, key, e);
     }
   }
 
+  const stuck = reportFailures(state.failures);
+
   state.lastSync = new Date().toISOString();
   saveState(state);
 
-  console.log(`Synced ${synced} new bookmarks to micro.blog`);
+  return `${synced} bookmarks ${DRY_RUN ? 'to post' : 'posted'}${describeFailures(stuck)}`;
 }
 
-main().catch(console.error);
+module.exports = { syncBookmarks, extractBookmarks, loadState, saveState, reconcileState };
@@ -1,135 +1,114 @@
 /**
  * Sync books from Slack to Micro.blog bookshelves
+ * Run with: node scripts/feeds.js sync microblog --only books
  *
- * Fetches "Title by Author" messages from Slack and adds them
- * to your Micro.blog "Currently Reading" bookshelf.
+ * Fetches book messages from Slack (see lib/books.js for the grammar) and
+ * keeps Micro.blog's bookshelves in step with each book's status. New books
+ * are added to the shelf for their status; when a book's status changes
+ * (e.g. "finished: Title") the existing Micro.blog book is moved to the
+ * matching shelf instead of being added again.
+ *
+ * Shelves are resolved by name at startup:
+ *   - want-to-read → "Want to read"
+ *   - reading      → "Currently reading" (or MICROBLOG_BOOKSHELF_ID)
+ *   - finished     → "Finished reading"
+ *   - abandoned    → "Abandoned" / "Did not finish", if you have one
+ *
+ * Synced books are recorded in data/microblog-books-state.json. If that
+ * file falls behind (a state commit that never got pushed), run with
+ * --reconcile: it reads every shelf on micro.blog and records where the
+ * books it finds there are before adding or moving anything. Books are
+ * matched by ISBN where one was recorded, then by title; state entries
+ * with no match on a shelf are left as they are.
+ * --dry-run prints the Books API requests instead of sending them.
+ *
+ * A book that fails to sync is retried with backoff on later runs and
+ * marked failed after a few attempts; --retry-failed starts those over.
  *
  * Required environment variables:
  *   - SLACK_BOT_TOKEN
  *   - SLACK_READING_CHANNEL_ID
  *   - MICROBLOG_TOKEN (from micro.blog Account → App tokens)
- *   - MICROBLOG_BOOKSHELF_ID (get from micro.blog/books/bookshelves API)
+ *
+ * Optional:
+ *   - MICROBLOG_BOOKSHELF_ID (overrides the "Currently reading" shelf)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { fetch, logPlannedRequest } = require('./lib/http');
+const { fetchSlackMessages } = require('./lib/slack');
+const { DATA_DIR, DRY_RUN, writeJson } = require('./lib/data-file');
+const { resolveBook } = require('./lib/book-resolver');
+const { parseBookFromMessage, bookKey, findBook, applyStatus, isBookMessage } = require('./lib/books');
+const { loadFailures, pruneFailures, shouldAttempt, recordFailure, recordSuccess, reportFailures, describeFailures } = require('./lib/retry-queue');
 
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 const SLACK_READING_CHANNEL_ID = process.env.SLACK_READING_CHANNEL_ID || process.env.SLACK_CHANNEL_ID;
 const MICROBLOG_TOKEN = process.env.MICROBLOG_TOKEN;
 const MICROBLOG_BOOKSHELF_ID = process.env.MICROBLOG_BOOKSHELF_ID;
-
-const STATE_FILE = path.join(__dirname, '..', 'data', 'microblog-books-state.json');
-
+const RECONCILE = process.argv.includes('--reconcile');
+
+const STATE_FILE = path.join(DATA_DIR, 'microblog-books-state.json');
+
+// Shelf names to look for, per status, in order of preference
+const SHELF_NAMES = {
+  'want-to-read': ['want to read'],
+  'reading': ['currently reading'],
+  'finished': ['finished reading', 'finished'],
+  'abandoned': ['abandoned', 'did not finish', 'dnf']
+};
+
+// State shape:
+//   books: { "<title>|<author>": { id, status, bookshelfId, isbn } }
+//   failures: { "<title>|<author>": retry entry } (see lib/retry-queue.js)
+// Older state files only had a syncedBooks list of keys; those books were
+// all added to the reading shelf and their Micro.blog ids are looked up
+// on demand.
 function loadState() {
+  let state = { books: {}, failures: {}, lastSync: null };
   try {
     if (fs.existsSync(STATE_FILE)) {
-      return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      state = { ...state, ...JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')) };
     }
   } catch (e) {
     console.log('Could not load state file, starting fresh');
   }
-  return { syncedBooks: [], lastSync: null };
-}
-
-function saveState(state) {
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-}
 
-async function fetchSlackMessages() {
-  const response = await fetch(`https://slack.com/api/conversations.history?channel=${SLACK_READING_CHANNEL_ID}&limit=20`, {
-    headers: {
-      'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/json'
+  for (const key of state.syncedBooks || []) {
+    if (!state.books[key]) {
+      state.books[key] = { id: null, status: 'reading', bookshelfId: null };
     }
-  });
-
-  const data = await response.json();
-
-  if (!data.ok) {
-    console.error('Slack API error:', data.error);
-    return [];
   }
+  delete state.syncedBooks;
+  state.failures = loadFailures(state.failures);
 
-  return data.messages || [];
+  return state;
 }
 
-function parseBookFromMessage(text) {
-  // Remove common prefixes
-  let cleaned = text
-    .replace(/^📚\s*/i, '')
-    .replace(/^currently reading:\s*/i, '')
-    .replace(/^reading:\s*/i, '')
-    .replace(/^now reading:\s*/i, '')
-    .trim();
-
-  // Parse "Title by Author" format
-  const byMatch = cleaned.match(/^(.+?)\s+by\s+(.+)$/i);
-  if (byMatch) {
-    return {
-      title: byMatch[1].trim(),
-      author: byMatch[2].trim()
-    };
-  }
-
-  // If no "by", treat whole thing as title
-  if (cleaned.length > 0 && cleaned.length < 200) {
-    return {
-      title: cleaned,
-      author: null
-    };
-  }
-
-  return null;
-}
-
-async function searchIsbn(title, author) {
-  try {
-    const query = encodeURIComponent(`${title} ${author || ''}`);
-    const searchUrl = `https://openlibrary.org/search.json?q=${query}&limit=1`;
-
-    const response = await fetch(searchUrl, {
-      headers: { 'User-Agent': 'SophieMicroblogSync/1.0' }
-    });
-    const data = await response.json();
-
-    if (data.docs && data.docs.length > 0) {
-      const book = data.docs[0];
-      // Return first ISBN if available
-      if (book.isbn && book.isbn.length > 0) {
-        return book.isbn[0];
-      }
-    }
-  } catch (e) {
-    console.log(`Could not find ISBN for ${title}:`, e.message);
-  }
-  return null;
+function saveState(state) {
+  writeJson(STATE_FILE, state);
 }
 
+// Replays book messages oldest first so each book ends up with its
+// latest status, the same way fetch-reading.js builds reading.json
 function extractBooks(messages) {
   const books = [];
-  const seenTitles = new Set();
-
-  for (const msg of messages) {
-    const text = msg.text || '';
-
-    // Skip messages with URLs (those are bookmarks)
-    if (text.includes('http://') || text.includes('https://')) continue;
-
-    // Skip bot messages and thread replies
-    if (msg.bot_id || msg.thread_ts) continue;
+  const ordered = [...messages].sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
 
-    // Skip system messages
-    if (msg.subtype) continue;
+  for (const msg of ordered) {
+    if (!isBookMessage(msg)) continue;
 
-    const book = parseBookFromMessage(text);
-    if (book) {
-      const key = `${book.title.toLowerCase()}|${(book.author || '').toLowerCase()}`;
-      if (seenTitles.has(key)) continue;
-      seenTitles.add(key);
+    const book = parseBookFromMessage(msg.text || '');
+    if (!book) continue;
 
-      books.push(book);
+    const date = new Date(parseFloat(msg.ts) * 1000).toISOString();
+    let entry = findBook(books, book);
+    if (!entry) {
+      entry = { title: book.title, author: book.author, status: null };
+      books.push(entry);
     }
+    applyStatus(entry, book.status, date);
   }
 
   return books;
@@ -149,6 +128,88 @@ async function getBookshelves() {
   return response.json();
 }
 
+// Maps each status to a bookshelf id by matching shelf titles
+function resolveShelves(shelves) {
+  const resolved = {};
+  for (const [status, names] of Object.entries(SHELF_NAMES)) {
+    const shelf = (shelves.items || []).find(s =>
+      names.some(name => s.title.toLowerCase().includes(name))
+    );
+    resolved[status] = shelf ? shelf._microblog?.id || shelf.id : null;
+  }
+  if (MICROBLOG_BOOKSHELF_ID) {
+    resolved.reading = MICROBLOG_BOOKSHELF_ID;
+  }
+  return resolved;
+}
+
+async function getBookshelfBooks(bookshelfId) {
+  const response = await fetch(`https://micro.blog/books/bookshelves/${bookshelfId}`, {
+    headers: {
+      'Authorization': `Bearer ${MICROBLOG_TOKEN}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to get bookshelf ${bookshelfId}: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Micro.blog may store the full title ("Breakneck: China's Quest...")
+// where Slack only has the short one
+function sameTitle(microblogTitle, title) {
+  const a = (microblogTitle || '').toLowerCase().trim();
+  const b = title.toLowerCase().trim();
+  return a === b || a.split(':')[0].trim() === b;
+}
+
+// Finds the Micro.blog id of a book already on a shelf, for state entries
+// synced before ids were recorded
+async function findMicroblogBookId(book, bookshelfId) {
+  if (!bookshelfId) return null;
+  const shelf = await getBookshelfBooks(bookshelfId);
+  const match = (shelf.items || []).find(item => sameTitle(item.title, book.title));
+  return match ? match.id : null;
+}
+
+// Records which shelf each book is on according to micro.blog. The ISBN
+// is matched first since micro.blog's title often differs from the one
+// posted in Slack in more than a subtitle; a book that can't be found is
+// kept as synced rather than added again as a duplicate.
+async function reconcileState(state, books, shelfIds) {
+  console.log('Reconciling with micro.blog bookshelves...');
+  const remote = [];
+  for (const [status, bookshelfId] of Object.entries(shelfIds)) {
+    if (!bookshelfId) continue;
+    const shelf = await getBookshelfBooks(bookshelfId);
+    for (const item of shelf.items || []) {
+      remote.push({ id: item.id, title: item.title, isbn: item.isbn || null, status, bookshelfId });
+    }
+  }
+
+  let unrecorded = 0;
+  let unmatched = 0;
+  for (const book of books) {
+    const key = bookKey(book);
+    const synced = state.books[key];
+    const isbn = synced?.isbn || book.isbn;
+    const match = (isbn && remote.find(item => item.isbn === isbn))
+      || remote.find(item => sameTitle(item.title, book.title));
+
+    if (!match) {
+      if (synced) unmatched++;
+      continue;
+    }
+    if (!synced) unrecorded++;
+    state.books[key] = { id: match.id, status: match.status, bookshelfId: match.bookshelfId, isbn: match.isbn || isbn || null };
+  }
+
+  console.log(`Found ${remote.length} books on micro.blog: ${unrecorded} not in state, ${unmatched} in state but not found on a shelf (left alone)`);
+  return state;
+}
+
 async function addBookToMicroblog(book, bookshelfId) {
   const params = new URLSearchParams({
     title: book.title,
@@ -160,6 +221,11 @@ async function addBookToMicroblog(book, bookshelfId) {
     params.set('isbn', book.isbn);
   }
 
+  if (DRY_RUN) {
+    logPlannedRequest('POST', 'https://micro.blog/books', params);
+    return null;
+  }
+
   const response = await fetch('https://micro.blog/books', {
     method: 'POST',
     headers: {
@@ -174,86 +240,130 @@ async function addBookToMicroblog(book, bookshelfId) {
     throw new Error(`Books API error ${response.status}: ${text}`);
   }
 
-  return response.json();
+  const result = await response.json();
+  return result.id || result._microblog?.id || null;
+}
+
+async function moveBookToShelf(bookId, bookshelfId) {
+  const url = `https://micro.blog/books/bookshelves/${bookshelfId}/assign`;
+  const params = new URLSearchParams({ book_id: bookId });
+
+  if (DRY_RUN) {
+    logPlannedRequest('POST', url, params);
+    return;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${MICROBLOG_TOKEN}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: params
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Books API error ${response.status}: ${text}`);
+  }
 }
 
-async function main() {
+async function syncBooks() {
   if (!SLACK_BOT_TOKEN || !SLACK_READING_CHANNEL_ID) {
-    console.error('Missing SLACK_BOT_TOKEN or SLACK_READING_CHANNEL_ID');
-    process.exit(1);
+    throw new Error('Missing SLACK_BOT_TOKEN or SLACK_READING_CHANNEL_ID');
   }
 
   if (!MICROBLOG_TOKEN) {
-    console.error('Missing MICROBLOG_TOKEN');
-    console.log('Get one from: https://micro.blog/account/apps');
-    process.exit(1);
+    throw new Error('Missing MICROBLOG_TOKEN (get one from https://micro.blog/account/apps)');
   }
 
-  // Get bookshelf ID if not provided
-  let bookshelfId = MICROBLOG_BOOKSHELF_ID;
-  if (!bookshelfId) {
-    console.log('No MICROBLOG_BOOKSHELF_ID provided, fetching bookshelves...');
-    const shelves = await getBookshelves();
-    console.log('Available bookshelves:');
-    for (const shelf of shelves.items || []) {
-      console.log(`  - ${shelf.title}: ${shelf._microblog?.id}`);
-    }
-
-    // Try to find "Currently Reading" shelf
-    const currentlyReading = (shelves.items || []).find(s =>
-      s.title.toLowerCase().includes('currently reading')
-    );
+  console.log('Fetching bookshelves...');
+  const shelves = await getBookshelves();
+  console.log('Available bookshelves:');
+  for (const shelf of shelves.items || []) {
+    console.log(`  - ${shelf.title}: ${shelf._microblog?.id}`);
+  }
 
-    if (currentlyReading) {
-      bookshelfId = currentlyReading._microblog?.id;
-      console.log(`Using "Currently Reading" shelf: ${bookshelfId}`);
-    } else {
-      console.error('Could not find bookshelf. Set MICROBLOG_BOOKSHELF_ID manually.');
-      process.exit(1);
-    }
+  const shelfIds = resolveShelves(shelves);
+  if (!shelfIds.reading) {
+    throw new Error('Could not find "Currently reading" bookshelf. Set MICROBLOG_BOOKSHELF_ID manually.');
   }
 
   const state = loadState();
-  console.log(`Previously synced ${state.syncedBooks.length} books`);
+  console.log(`Previously synced ${Object.keys(state.books).length} books`);
 
   console.log('Fetching messages from Slack...');
-  const messages = await fetchSlackMessages();
+  const messages = await fetchSlackMessages(SLACK_READING_CHANNEL_ID);
   console.log(`Found ${messages.length} messages`);
 
   const books = extractBooks(messages);
   console.log(`Extracted ${books.length} books`);
 
-  // Find new books not yet synced
-  const newBooks = books.filter(book => {
-    const key = `${book.title.toLowerCase()}|${(book.author || '').toLowerCase()}`;
-    return !state.syncedBooks.includes(key);
+  if (RECONCILE) {
+    await reconcileState(state, books, shelfIds);
+  }
+
+  // New books, and synced books whose status has changed since
+  const changedBooks = books.filter(book => {
+    const synced = state.books[bookKey(book)];
+    return !synced || synced.status !== book.status;
   });
-  console.log(`${newBooks.length} new books to sync`);
+  console.log(`${changedBooks.length} books to sync`);
+  pruneFailures(state.failures, changedBooks.map(bookKey));
+
+  let added = 0;
+  let moved = 0;
+  for (const book of changedBooks) {
+    const key = bookKey(book);
+    const synced = state.books[key];
+    const bookshelfId = shelfIds[book.status];
+
+    if (!shouldAttempt(state.failures, key)) continue;
+    if (!bookshelfId) {
+      console.log(`No bookshelf for "${book.status}", skipping: ${book.title}`);
+      continue;
+    }
 
-  let synced = 0;
-  for (const book of newBooks) {
     try {
-      console.log(`Looking up ISBN for: ${book.title} by ${book.author || 'Unknown'}`);
-      book.isbn = await searchIsbn(book.title, book.author);
-
-      console.log(`Adding to micro.blog: ${book.title}`);
-      await addBookToMicroblog(book, bookshelfId);
-
-      const key = `${book.title.toLowerCase()}|${(book.author || '').toLowerCase()}`;
-      state.syncedBooks.push(key);
-      synced++;
+      if (synced) {
+        const bookId = synced.id
+          || await findMicroblogBookId(book, synced.bookshelfId || shelfIds[synced.status]);
+        if (!bookId) {
+          console.log(`Could not find "${book.title}" on micro.blog, skipping move`);
+          continue;
+        }
+
+        console.log(`Moving on micro.blog: ${book.title} (${synced.status} → ${book.status})`);
+        await moveBookToShelf(bookId, bookshelfId);
+        state.books[key] = { ...synced, id: bookId, status: book.status, bookshelfId };
+        recordSuccess(state.failures, key);
+        moved++;
+      } else {
+        console.log(`Looking up ISBN for: ${book.title} by ${book.author || 'Unknown'}`);
+        const match = await resolveBook(book.title, book.author);
+        book.isbn = match?.isbn || null;
+
+        console.log(`Adding to micro.blog: ${book.title} (${book.status})`);
+        const bookId = await addBookToMicroblog(book, bookshelfId);
+        state.books[key] = { id: bookId, status: book.status, bookshelfId, isbn: book.isbn };
+        recordSuccess(state.failures, key);
+        added++;
+      }
 
       // Small delay to be nice to the API
-      await new Promise(r => setTimeout(r, 1000));
+      if (!DRY_RUN) await new Promise(r => setTimeout(r, 1000));
     } catch (e) {
-      console.error(`Failed to add book "${book.title}":`, e.message);
+      console.error(`Failed to sync book "${book.title}":`, e.message);
+      recordFailure(state.failures, key, e);
     }
   }
 
+  const stuck = reportFailures(state.failures);
+
   state.lastSync = new Date().toISOString();
   saveState(state);
 
-  console.log(`Synced ${synced} new books to micro.blog`);
+  return `${added} books ${DRY_RUN ? 'to add' : 'added'}, ${moved} ${DRY_RUN ? 'to move' : 'moved'}${describeFailures(stuck)}`;
 }
 
-main().catch(console.error);
+module.exports = { syncBooks, extractBooks, loadState, saveState, reconcileState };
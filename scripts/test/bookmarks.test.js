@@ -0,0 +1,114 @@
+const { dataDir, readData, resetData } = require('./setup');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalizeUrl } = require('../lib/urls');
+const { parseBookmarkMessage } = require('../lib/bookmark-message');
+const { loadArchive, mergeBookmarks, hasBookmark, saveArchive, latestTs } = require('../lib/bookmark-archive');
+const { extractBookmarks } = require('../fetch-bookmarks');
+const sync = require('../sync-bookmarks-to-microblog');
+
+const message = (ts, text) => ({ type: 'message', user: 'U1', ts, text });
+
+test('canonicalizeUrl drops tracking params, fragments and trailing slashes', () => {
+  assert.equal(
+    canonicalizeUrl('http://Example.com/Post/?utm_source=x&id=3#comments'),
+    'https://example.com/Post?id=3'
+  );
+  assert.equal(canonicalizeUrl('https://example.com/?fbclid=abc'), 'https://example.com/');
+  assert.equal(canonicalizeUrl('mailto:someone@example.com'), 'mailto:someone@example.com');
+});
+
+test('parseBookmarkMessage splits links, emoji, tags and note', () => {
+  const parsed = parseBookmarkMessage('📚 <https://example.com/a|A post> worth it #design');
+  assert.deepEqual(parsed.links, [{ url: 'https://example.com/a', label: 'A post' }]);
+  assert.equal(parsed.emoji, '📚');
+  assert.deepEqual(parsed.tags, ['design']);
+  assert.equal(parsed.note, 'worth it');
+});
+
+test('extractBookmarks resolves metadata and keeps the Slack label as title', async () => {
+  const bookmarks = await extractBookmarks([
+    message('1767398400.000050', '📚 <https://example.com/articles/slow-software?utm_source=twitter|Slow software> worth rereading #design')
+  ]);
+
+  assert.equal(bookmarks.length, 1);
+  assert.equal(bookmarks[0].title, 'Slow software');
+  assert.equal(bookmarks[0].siteName, 'Example Journal');
+  assert.equal(bookmarks[0].image, 'https://example.com/images/slow-software.png');
+  assert.equal(bookmarks[0].canonicalUrl, 'https://example.com/articles/slow-software');
+  assert.equal(bookmarks[0].note, 'worth rereading');
+});
+
+test('extractBookmarks ignores the metadata of pages that return an error', async () => {
+  const bookmarks = await extractBookmarks([message('1767312000.000200', '<https://example.net/notes/tools>')]);
+  assert.equal(bookmarks[0].title, 'https://example.net/notes/tools');
+  assert.equal(bookmarks[0].description, null);
+});
+
+test('extractBookmarks skips Slack and non-http links and dedupes by canonical URL', async () => {
+  const bookmarks = await extractBookmarks([
+    message('1767571200.000100', '<https://example.org/essay>'),
+    message('1767484800.000100', '<https://team.slack.com/archives/C1/p1> and <mailto:sophie@example.com>'),
+    message('1767398400.000100', '<https://example.org/essay/?utm_campaign=x>')
+  ]);
+
+  assert.deepEqual(bookmarks.map(b => b.url), ['https://example.org/essay']);
+  assert.equal(bookmarks[0].title, 'An Essay on Attention & Craft');
+});
+
+test('extractBookmarks skips links already in the archive', async () => {
+  const archive = new Map();
+  mergeBookmarks(archive, [{ url: 'https://example.org/essay', title: 'Kept', date: '2026-01-01T00:00:00.000Z' }]);
+
+  const bookmarks = await extractBookmarks([message('1767571200.000100', '<https://example.org/essay?utm_source=rss>')], archive);
+  assert.deepEqual(bookmarks, []);
+});
+
+test('mergeBookmarks never overwrites an archived bookmark', () => {
+  const archive = new Map();
+  const first = { url: 'https://example.com/a', canonicalUrl: 'https://example.com/canonical', title: 'First', date: '2026-01-01T00:00:00.000Z' };
+  const again = { url: 'https://example.com/canonical/', title: 'Again', date: '2026-02-01T00:00:00.000Z' };
+
+  assert.deepEqual(mergeBookmarks(archive, [first]), [first]);
+  assert.deepEqual(mergeBookmarks(archive, [again]), []);
+  assert.equal(hasBookmark(archive, 'http://example.com/a/'), true);
+});
+
+test('saveArchive shards by year and loadArchive reads it back', () => {
+  resetData();
+  const archive = new Map();
+  mergeBookmarks(archive, [
+    { url: 'https://example.com/new', title: 'New', ts: '1767398400.000100', date: '2026-01-03T00:00:00.000Z', dateFormatted: 'Jan 3' },
+    { url: 'https://example.com/old', title: 'Old', ts: '1733011200.000100', date: '2024-12-01T00:00:00.000Z', dateFormatted: 'Dec 1' }
+  ]);
+
+  assert.equal(saveArchive(archive), 2);
+  assert.deepEqual(readData('bookmarks/2024.json').bookmarks.map(b => b.title), ['Old']);
+  assert.deepEqual(readData('bookmarks.json').years, [2026, 2024]);
+
+  const reloaded = loadArchive();
+  assert.equal(latestTs(reloaded), '1767398400.000100');
+  assert.equal(hasBookmark(reloaded, 'https://example.com/old'), true);
+});
+
+test('loadArchive refuses to go on when a year shard is unreadable', () => {
+  resetData();
+  fs.mkdirSync(path.join(dataDir, 'bookmarks'));
+  fs.writeFileSync(path.join(dataDir, 'bookmarks', '2025.json'), '{"bookmarks": [');
+  assert.throws(() => loadArchive(), /Could not read bookmarks\/2025\.json/);
+});
+
+test('sync extractBookmarks dedupes by canonical URL and keeps the shared link', () => {
+  const bookmarks = sync.extractBookmarks([
+    message('3', '<https://example.com/a?utm_source=x> #reading'),
+    message('2', '<https://example.com/a/>'),
+    message('1', '<https://team.slack.com/archives/C1/p1> <http://neverssl.com/>')
+  ]);
+
+  assert.deepEqual(bookmarks, [
+    { url: 'https://example.com/a?utm_source=x', key: 'https://example.com/a', note: null, tags: ['reading'] },
+    { url: 'http://neverssl.com/', key: 'https://neverssl.com/', note: null, tags: [] }
+  ]);
+});
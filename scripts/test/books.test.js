@@ -0,0 +1,79 @@
+const { fixtureFetch } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBookFromMessage, bookKey, findBook, applyStatus, isBookMessage } = require('../lib/books');
+const { resolveBook } = require('../lib/book-resolver');
+
+test('parseBookFromMessage reads "Title by Author" as currently reading', () => {
+  assert.deepEqual(parseBookFromMessage('Breakneck by Dan Wang'), { title: 'Breakneck', author: 'Dan Wang', status: 'reading' });
+  assert.deepEqual(parseBookFromMessage('📚 Currently reading: Breakneck by Dan Wang'), { title: 'Breakneck', author: 'Dan Wang', status: 'reading' });
+});
+
+test('parseBookFromMessage maps status prefixes', () => {
+  const status = text => parseBookFromMessage(text).status;
+  assert.equal(status('Want to read: Piranesi by Susanna Clarke'), 'want-to-read');
+  assert.equal(status('TBR: Piranesi'), 'want-to-read');
+  assert.equal(status('Finished: Piranesi'), 'finished');
+  assert.equal(status('✅ Piranesi by Susanna Clarke'), 'finished');
+  assert.equal(status('DNF: Piranesi'), 'abandoned');
+  assert.equal(status('gave up on: Piranesi'), 'abandoned');
+  assert.equal(status('Started: Piranesi'), 'reading');
+});
+
+test('parseBookFromMessage only reads "abandoned" prefixes followed by a colon', () => {
+  assert.deepEqual(parseBookFromMessage('Abandoned Places by Henk van Rensbergen'), { title: 'Abandoned Places', author: 'Henk van Rensbergen', status: 'reading' });
+  assert.deepEqual(parseBookFromMessage('Gave Up on Love by X'), { title: 'Gave Up on Love', author: 'X', status: 'reading' });
+  assert.deepEqual(parseBookFromMessage('DNFPiranesi'), { title: 'DNFPiranesi', author: null, status: 'reading' });
+});
+
+test('parseBookFromMessage keeps a title without an author', () => {
+  assert.deepEqual(parseBookFromMessage('Finished: Piranesi'), { title: 'Piranesi', author: null, status: 'finished' });
+  assert.equal(parseBookFromMessage(''), null);
+  assert.equal(parseBookFromMessage('x'.repeat(200)), null);
+});
+
+test('bookKey treats "Unknown" as no author', () => {
+  assert.equal(bookKey({ title: 'Piranesi', author: 'Unknown' }), 'piranesi|');
+  assert.equal(bookKey({ title: 'Piranesi', author: 'Susanna Clarke' }), 'piranesi|susanna clarke');
+});
+
+test('findBook falls back to the title when the update has no author', () => {
+  const library = [{ title: 'Piranesi', author: 'Susanna Clarke' }];
+  assert.equal(findBook(library, { title: 'piranesi', author: null }), library[0]);
+  assert.equal(findBook(library, { title: 'Piranesi', author: 'Someone Else' }), null);
+});
+
+test('applyStatus stamps start and finish dates', () => {
+  const entry = { status: null, startedAt: null, finishedAt: null };
+  applyStatus(entry, 'reading', '2026-01-01T00:00:00.000Z');
+  applyStatus(entry, 'finished', '2026-02-01T00:00:00.000Z');
+  assert.deepEqual(entry, { status: 'finished', startedAt: '2026-01-01T00:00:00.000Z', finishedAt: '2026-02-01T00:00:00.000Z' });
+});
+
+test('applyStatus clears the finish date when a book goes back to want-to-read', () => {
+  const entry = { status: 'abandoned', startedAt: '2026-01-01T00:00:00.000Z', finishedAt: '2026-02-01T00:00:00.000Z' };
+  applyStatus(entry, 'want-to-read', '2026-03-01T00:00:00.000Z');
+  assert.equal(entry.finishedAt, null);
+});
+
+test('isBookMessage skips links, bots, threads and system messages', () => {
+  assert.equal(isBookMessage({ text: 'Breakneck by Dan Wang' }), true);
+  assert.equal(isBookMessage({ text: 'https://example.com/book' }), false);
+  assert.equal(isBookMessage({ text: 'Breakneck', bot_id: 'B1' }), false);
+  assert.equal(isBookMessage({ text: 'Breakneck', thread_ts: '1.0' }), false);
+  assert.equal(isBookMessage({ text: 'joined', subtype: 'channel_join' }), false);
+});
+
+test('resolveBook picks the real book over a summary and reads ISBN and cover', async () => {
+  const match = await resolveBook('Breakneck', 'Dan Wang');
+  assert.equal(match.olid, 'OL39364587W');
+  assert.equal(match.isbn, '9781324106036');
+  assert.equal(match.cover, 'https://covers.openlibrary.org/b/id/15121652-M.jpg');
+});
+
+test('resolveBook retries on the title alone and returns null without a confident match', async () => {
+  fixtureFetch.requests.length = 0;
+  assert.equal(await resolveBook('A Book Nobody Has Heard Of', 'No One'), null);
+  assert.equal(fixtureFetch.requests.length, 2);
+  assert.equal(new URL(fixtureFetch.requests[1].url).searchParams.get('author'), null);
+});
@@ -0,0 +1,159 @@
+const { dataDir, readData, writeData, resetData } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { validateDataFile } = require('../lib/data-file');
+
+const FEEDS = path.join(__dirname, '..', 'feeds.js');
+
+function feeds(...args) {
+  return spawnSync(process.execPath, [FEEDS, ...args, '--fixtures'], {
+    env: { ...process.env, FEEDS_DATA_DIR: dataDir },
+    encoding: 'utf8'
+  });
+}
+
+test('fetch all writes every data file from fixtures', () => {
+  resetData();
+  const result = feeds('fetch', 'all');
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  for (const [schema, file] of [['bookmarks', 'bookmarks.json'], ['reading', 'reading.json'], ['listening', 'listening.json'], ['microblog', 'microblog.json'], ['writing', 'writing.json']]) {
+    assert.deepEqual(validateDataFile(schema, readData(file)), [], file);
+  }
+
+  assert.deepEqual(readData('reading.json').books.map(b => `${b.title}: ${b.status}`), [
+    'Breakneck: finished',
+    'The Design of Everyday Things: want-to-read',
+    'A Book Nobody Has Heard Of: abandoned'
+  ]);
+
+  const { tracks } = readData('listening.json');
+  assert.deepEqual(tracks.map(t => t.linkSource), ['apple', 'apple', 'search']);
+  assert.equal(tracks[0].nowPlaying, true);
+  const artists = readData('listening.json').top.week.artists;
+  assert.deepEqual(artists.map(a => a.url), ['https://www.last.fm/music/Frank+Ocean', 'https://www.last.fm/music/The+Police', undefined]);
+
+  const { posts } = readData('microblog.json');
+  assert.equal(posts.length, 2);
+  assert.doesNotMatch(posts[0].content, /<script|onclick/);
+
+  // The rest of the feed, including its second page, goes to writing.json
+  const writing = readData('writing.json').posts;
+  assert.deepEqual(writing.map(post => `${post.slug}: ${post.title}`), [
+    '2026-01-03-a-short-note: A short note',
+    '2025-11-14-why-adoption: Why people adopt new products',
+    '2025-11-02-photo: Spent the afternoon at the lake with a thermos of soup and…',
+    '2025-10-20-quick: Quick one'
+  ]);
+  assert.doesNotMatch(writing[1].content, /javascript:/);
+
+  // A post whose link isn't http(s) is left out, not written as ''
+  assert.match(result.stdout, /Skipping http:\/\/sophiealula\.micro\.blog\/2025\/10\/10\/broken\.html: no usable URL/);
+  assert.match(result.stdout, /ok\s+fetch microblog\s+2 Now posts, 4 writing posts, 1 skipped/);
+
+  assert.match(result.stdout, /ok\s+fetch bookmarks\s+3 new bookmarks, 3 archived/);
+});
+
+test('a second run only applies new messages', () => {
+  const result = feeds('fetch', 'all', '--only', 'reading,bookmarks');
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.match(result.stdout, /0 book updates, 3 books in library/);
+  assert.match(result.stdout, /0 new bookmarks, 3 archived/);
+});
+
+test('writing.json keeps posts that have dropped out of the feed', () => {
+  resetData();
+  const post = (id, slug, title, date) => ({ id, slug, title, content: '<p>Old</p>', date, tags: [], url: id });
+  writeData('writing.json', {
+    updated: '2025-01-01T00:00:00.000Z',
+    posts: [
+      post('http://sophiealula.micro.blog/2025/11/14/why-adoption.html', '2025-11-14-why-adoption', 'Stale title', '2025-11-14T15:30:00+00:00'),
+      post('http://sophiealula.micro.blog/2024/05/01/older.html', '2024-05-01-older', 'Older', '2024-05-01T00:00:00+00:00')
+    ]
+  });
+
+  const result = feeds('fetch', 'microblog');
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.deepEqual(readData('writing.json').posts.map(p => p.title), [
+    'A short note',
+    'Why people adopt new products',
+    'Spent the afternoon at the lake with a thermos of soup and…',
+    'Quick one',
+    'Older'
+  ]);
+});
+
+test('listening history pages through every scrobble since the last one recorded', () => {
+  resetData();
+  const old = { title: 'Nikes', artist: 'Frank Ocean', album: 'Blonde', playedAt: '2026-01-01T00:00:00.000Z' };
+  writeData('listening-history.json', { scrobbles: [old], weeks: [] });
+
+  const result = feeds('fetch', 'listening');
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.match(result.stdout, /scrobbles since 2026-01-01T00:00:00\.000Z/);
+  assert.deepEqual(readData('listening-history.json').scrobbles.map(s => `${s.title} ${s.playedAt}`), [
+    'Pink + White 2026-01-05T00:00:00.000Z',
+    'Pink + White 2026-01-04T23:55:00.000Z',
+    'Unknown Demo 2026-01-04T23:00:00.000Z',
+    'Ivy 2026-01-04T00:00:00.000Z',
+    'Nikes 2026-01-01T00:00:00.000Z'
+  ]);
+});
+
+test('microblog.json keeps Now snapshots that have dropped out of the feed', () => {
+  resetData();
+  const old = { id: 'http://sophiealula.micro.blog/2024/06/01/now.html', title: null, content: '<ul><li>Old</li></ul>', date: '2024-06-01T12:00:00+00:00', dateFormatted: 'Jun 1', url: 'https://sophiealula.micro.blog/2024/06/01/now.html' };
+  writeData('microblog.json', { updated: '2024-06-01T12:00:00.000Z', posts: [old] });
+
+  const result = feeds('fetch', 'microblog');
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.deepEqual(readData('microblog.json').posts.map(p => p.date.slice(0, 10)), ['2026-01-05', '2025-12-01', '2024-06-01']);
+  assert.match(result.stdout, /3 Now posts/);
+});
+
+test('--dry-run reports files without writing them', () => {
+  resetData();
+  const result = feeds('fetch', 'microblog', '--dry-run');
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.match(result.stdout, /would write data\/microblog\.json/);
+  assert.deepEqual(fs.readdirSync(dataDir), []);
+});
+
+test('a failing source exits 1 after the others have run', () => {
+  resetData();
+  const empty = fs.mkdtempSync(path.join(dataDir, 'fixtures-'));
+  const result = spawnSync(process.execPath, [FEEDS, 'fetch', 'all', `--fixtures=${empty}`], {
+    env: { ...process.env, FEEDS_DATA_DIR: dataDir, SLACK_BOT_TOKEN: '', SLACK_CHANNEL_ID: '' },
+    encoding: 'utf8'
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /FAILED fetch bookmarks\s+Missing SLACK_BOT_TOKEN/);
+  assert.match(result.stdout, /FAILED fetch microblog\s+No fixture for GET/);
+});
+
+test('bad usage exits 2', () => {
+  assert.equal(feeds('fetch', 'podcasts').status, 2);
+  assert.equal(feeds('sync', 'microblog', '--only', 'films').status, 2);
+});
+
+test('sync --dry-run --reconcile prints the planned calls and changes nothing', () => {
+  resetData();
+  const result = feeds('sync', 'microblog', '--dry-run', '--reconcile');
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  // example.org/essay is already on micro.blog, so only the other two are planned
+  const planned = result.stdout.match(/\[dry run\] POST https:\/\/micro\.blog\/micropub\n\s+h=entry\n\s+bookmark-of=\S+/g);
+  assert.deepEqual(planned.map(call => call.split('bookmark-of=')[1]), [
+    'https://example.com/articles/slow-software?utm_source=twitter',
+    'https://example.net/notes/tools'
+  ]);
+
+  // Breakneck is on the reading shelf: moved, not added again
+  assert.match(result.stdout, /\[dry run\] POST https:\/\/micro\.blog\/books\/bookshelves\/103\/assign\n\s+book_id=4001/);
+  assert.match(result.stdout, /\[dry run\] POST https:\/\/micro\.blog\/books\n\s+title=The Design of Everyday Things/);
+  assert.match(result.stdout, /1 books to add, 1 to move/);
+  assert.deepEqual(fs.readdirSync(dataDir), []);
+});
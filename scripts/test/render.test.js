@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const render = require('../../render');
+
+const posts = [
+  { id: '3', date: '2026-03-01T09:00:00-05:00', content: '<p>Work</p><ul><li>Shipping the <a href="https://example.com/app">app</a></li><li>Training for a 10k</li></ul>' },
+  { id: '2', date: '2026-02-01T18:00:00-05:00', content: '<ul><li>Training  for a 10K</li><li>Soup</li></ul>' },
+  { id: '1', date: '2026-02-01T08:00:00-05:00', content: '<ul><li>Soup</li></ul>' }
+];
+
+test('nowSnapshotIds uses the post date and numbers same-day posts', () => {
+  assert.deepEqual(render.nowSnapshotIds(posts), ['2026-03-01', '2026-02-01', '2026-02-01-2']);
+});
+
+test('findNowSnapshot falls back to the latest post', () => {
+  assert.equal(render.findNowSnapshot(posts, '2026-02-01-2'), 2);
+  assert.equal(render.findNowSnapshot(posts, '1999-01-01'), 0);
+  assert.equal(render.findNowSnapshot(posts, ''), 0);
+});
+
+test('diffNowPosts compares list items by their text', () => {
+  assert.deepEqual(render.diffNowPosts(posts[0], posts[1]), {
+    added: ['Shipping the <a href="https://example.com/app" rel="noopener">app</a>'],
+    removed: ['Soup']
+  });
+});
+
+test('renderNowChanges lists new and gone items, and is empty for the oldest snapshot', () => {
+  assert.equal(render.renderNowChanges(posts, 2), '');
+  assert.match(render.renderNowChanges(posts, 1), /What changed since February 1, 2026[\s\S]*<h3>New<\/h3><ul><li>Training  for a 10K<\/li><\/ul>/);
+  assert.match(render.renderNowChanges([posts[2], posts[2]]), /Same lists as last time/);
+});
+
+test('renderNowArchive marks the snapshot being shown', () => {
+  const archive = render.renderNowArchive(posts, 1);
+  assert.match(archive, /<a href="\?date=2026-02-01" aria-current="page">/);
+  assert.equal(render.renderNowArchive(posts.slice(0, 1)), '');
+});
+
+const writing = [
+  { slug: '2026-01-03-note', title: 'A note', date: '2026-01-03T09:00:00+00:00', tags: ['Notes'], content: '<p>Hi</p>' },
+  { slug: '2025-11-14-essay', title: 'An essay', date: '2025-11-14T15:30:00+00:00', tags: ['Essays', 'Notes'], content: '<p>Long</p>' }
+];
+
+test('filterWriting narrows by tag and year', () => {
+  assert.deepEqual(render.filterWriting(writing, { tag: 'Essays' }).map(p => p.slug), ['2025-11-14-essay']);
+  assert.deepEqual(render.filterWriting(writing, { year: '2026' }).map(p => p.slug), ['2026-01-03-note']);
+  assert.equal(render.filterWriting(writing, { tag: 'Notes', year: null }).length, 2);
+});
+
+test('renderWritingList links each post to its own page under a year heading', () => {
+  const html = render.renderWritingList(writing);
+  assert.match(html, /<h2 class="posts-year">2026<\/h2>[\s\S]*href="writing\/2026-01-03-note\.html"[\s\S]*<h2 class="posts-year">2025<\/h2>/);
+  assert.match(render.renderWritingFilters(writing, { tag: 'Notes' }), /<a href="\?tag=Notes" class="writing-filter" aria-current="page">#Notes<\/a>/);
+});
+
+test('renderMarkdown handles paragraphs, lists and inline markup, and escapes the rest', () => {
+  assert.equal(
+    render.renderMarkdown('Launched **four** <b>companies</b>.\n\n- Ran *pilots*\n- See [the site](https://example.com/?a=1&b=2)'),
+    '<p>Launched <strong>four</strong> &lt;b&gt;companies&lt;/b&gt;.</p>\n<ul><li>Ran <em>pilots</em></li><li>See <a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener">the site</a></li></ul>'
+  );
+  assert.doesNotMatch(render.renderMarkdown('[x](javascript:alert)'), /href/);
+});
+
+const role = {
+  id: 'atomic',
+  company: 'Atomic',
+  role: 'Launch Coordinator',
+  start: '2022-03',
+  end: null,
+  link: 'https://atomic.vc',
+  skills: ['Operations'],
+  images: [{ src: 'images/atomic/1.jpg', alt: 'Launch day', caption: 'Launch day' }, { src: 'javascript:alert(1)', alt: '' }],
+  description: 'Launched companies.'
+};
+
+test('renderWorkCards links each role to its deep link', () => {
+  const cards = render.renderWorkCards([role]);
+  assert.match(cards, /<a class="carousel-card" href="#atomic" data-work="atomic">/);
+  assert.match(cards, /<img src="images\/atomic\/1\.jpg" alt="Launch day"/);
+  assert.match(cards, /<span class="card-date">Mar 2022 - Present<\/span>/);
+});
+
+test('renderWorkDetails renders the images as a gallery', () => {
+  const details = render.renderWorkDetails(role);
+  assert.equal((details.match(/<figure>/g) || []).length, 1);
+  assert.match(details, /<figcaption>Launch day<\/figcaption>/);
+  assert.match(details, /<a class="modal-link" href="https:\/\/atomic\.vc"[^>]*>atomic\.vc ↗<\/a>/);
+  assert.doesNotMatch(render.renderWorkDetails({ ...role, images: [] }), /modal-gallery/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { safeUrl, sanitizeHtml } = require('../../sanitize');
+
+test('safeUrl keeps http(s) and relative URLs', () => {
+  assert.equal(safeUrl('https://example.com/a?b=1'), 'https://example.com/a?b=1');
+  assert.equal(safeUrl('images/a.png'), 'images/a.png');
+  assert.equal(safeUrl('//example.com/a'), '//example.com/a');
+});
+
+test('safeUrl drops javascript: and other schemes however they are written', () => {
+  for (const url of [
+    'javascript:alert(1)',
+    '  JaVaScRiPt:alert(1)',
+    'java\tscript:alert(1)',
+    '\u0000javascript:alert(1)',
+    'vbscript:msgbox(1)',
+    'data:text/html,<script>alert(1)</script>'
+  ]) {
+    assert.equal(safeUrl(url), '', JSON.stringify(url));
+  }
+});
+
+test('sanitizeHtml drops javascript: links, including entity-obfuscated ones', () => {
+  for (const href of [
+    'javascript:alert(1)',
+    '&#106;avascript:alert(1)',
+    '&#x6A;&#x61;vascript:alert(1)',
+    '&#0000106avascript:alert(1)',
+    'java&#9;script:alert(1)',
+    'javascript&#58;alert(1)'
+  ]) {
+    assert.equal(sanitizeHtml(`<a href="${href}">x</a>`), '<a>x</a>', href);
+  }
+  assert.equal(sanitizeHtml('<img src="&#106;avascript:alert(1)" alt="x">'), '<img alt="x">');
+});
+
+test('sanitizeHtml strips event-handler attributes', () => {
+  assert.equal(sanitizeHtml('<img src="a.png" onerror="alert(1)">'), '<img src="a.png">');
+  assert.equal(sanitizeHtml('<p onclick="alert(1)" ONMOUSEOVER=alert(1)>Hi</p>'), '<p>Hi</p>');
+  assert.equal(
+    sanitizeHtml('<a href="https://example.com" onfocus=\'alert(1)\'>x</a>'),
+    '<a href="https://example.com" rel="noopener">x</a>'
+  );
+});
+
+test('sanitizeHtml drops script and style elements with their content', () => {
+  assert.equal(sanitizeHtml('<p>a<script>alert("<p>")</script>b</p>'), '<p>ab</p>');
+  assert.equal(sanitizeHtml('<STYLE>p { color: red }</STYLE><p>Hi</p>'), '<p>Hi</p>');
+  assert.equal(sanitizeHtml('<p>Hi</p><script src="x.js"></script>'), '<p>Hi</p>');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSite, userAgent } = require('../lib/site');
+const { renderHead } = require('../lib/shell');
+
+function withEnv(env, fn) {
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+test('environment variables override site.json', () => {
+  const site = withEnv({ LASTFM_USER: 'someone', NOW_TAG: 'Currently', CONTACT_FORM_ENDPOINT: 'https://example.com/form' }, loadSite);
+  assert.equal(site.lastfm.user, 'someone');
+  assert.equal(site.microblog.nowTag, 'Currently');
+  assert.equal(site.browser.contactFormEndpoint, 'https://example.com/form');
+  assert.equal(loadSite().microblog.nowTag, 'Now');
+});
+
+test('userAgent names the site', () => {
+  assert.equal(userAgent({ name: 'Sophie Davis', url: 'https://sophiedavis.org' }), 'SophieDavisPortfolio/1.0 (+https://sophiedavis.org)');
+});
+
+test('renderHead injects the browser settings as window.SiteConfig', () => {
+  const site = { ...loadSite(), browser: { contactFormEndpoint: 'https://example.com/</script>' } };
+  const head = renderHead(site, 'contact.html');
+  assert.match(head, /<script>window\.SiteConfig = \{"contactFormEndpoint":"https:\/\/example\.com\/\\u003c\/script>"\};<\/script>/);
+});
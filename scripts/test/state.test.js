@@ -0,0 +1,223 @@
+const { dataDir, fixtureFetch, readData, writeData, resetData } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setFetch } = require('../lib/http');
+const { writeDataFile, validateDataFile } = require('../lib/data-file');
+const { loadLibrary, applyMessages } = require('../fetch-reading');
+const syncBooks = require('../sync-books-to-microblog');
+const syncBookmarks = require('../sync-bookmarks-to-microblog');
+const retryQueue = require('../lib/retry-queue');
+
+const posts = () => fixtureFetch.requests.filter(r => r.method === 'POST');
+
+test('writeDataFile rejects data that does not match the schema', () => {
+  resetData();
+  const file = path.join(dataDir, 'reading.json');
+  assert.throws(
+    () => writeDataFile(file, { updated: 'yesterday', books: [{ title: 'Piranesi' }] }, { schema: 'reading' }),
+    /doesn't match reading\.schema\.json/
+  );
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('writeDataFile refuses to replace entries with an empty list unless forced', () => {
+  resetData();
+  const file = path.join(dataDir, 'microblog.json');
+  const updated = new Date().toISOString();
+  writeDataFile(file, { updated, posts: [{ id: '1', content: '<p>Hi</p>', date: updated }] }, { schema: 'microblog' });
+
+  assert.throws(() => writeDataFile(file, { updated, posts: [] }, { schema: 'microblog' }), /--force/);
+  assert.equal(readData('microblog.json').posts.length, 1);
+
+  writeDataFile(file, { updated, posts: [] }, { schema: 'microblog', force: true });
+  assert.equal(readData('microblog.json').posts.length, 0);
+  assert.deepEqual(fs.readdirSync(dataDir), ['microblog.json']);
+});
+
+test('validateDataFile accepts the committed data files', () => {
+  const data = path.join(__dirname, '..', '..', 'data');
+  for (const [schema, file] of [['bookmarks', 'bookmarks.json'], ['reading', 'reading.json'], ['listening', 'listening.json'], ['microblog', 'microblog.json'], ['writing', 'writing.json'], ['work', 'work.json']]) {
+    assert.deepEqual(validateDataFile(schema, JSON.parse(fs.readFileSync(path.join(data, file), 'utf8'))), [], file);
+  }
+});
+
+test('loadLibrary treats books saved before statuses existed as reading', () => {
+  resetData();
+  writeData('reading.json', { updated: '2026-01-01T00:00:00.000Z', books: [{ title: 'Breakneck', author: 'Dan Wang' }] });
+  const library = loadLibrary();
+  assert.equal(library.books[0].status, 'reading');
+  assert.equal(library.lastTs, null);
+});
+
+test('applyMessages replays oldest first and skips messages it has seen', async () => {
+  resetData();
+  const library = { books: [], lastTs: null };
+  const messages = [
+    { ts: '1767571200.000100', text: 'Finished: Breakneck' },
+    { ts: '1767312000.000100', text: 'Currently reading: Breakneck by Dan Wang' }
+  ];
+
+  assert.equal(await applyMessages(library, messages), 2);
+  assert.equal(library.books[0].status, 'finished');
+  assert.equal(library.books[0].isbn, '9781324106036');
+  assert.equal(library.lastTs, '1767571200.000100');
+
+  assert.equal(await applyMessages(library, messages), 0);
+});
+
+test('sync-books loadState migrates the old syncedBooks list', () => {
+  resetData();
+  writeData('microblog-books-state.json', { syncedBooks: ['breakneck|dan wang'], lastSync: null });
+  const state = syncBooks.loadState();
+  assert.deepEqual(state.books, { 'breakneck|dan wang': { id: null, status: 'reading', bookshelfId: null } });
+  assert.equal('syncedBooks' in state, false);
+});
+
+test('syncBooks adds new books to their shelf and records them in state', async () => {
+  resetData();
+  assert.match(await syncBooks.syncBooks(), /2 books added, 0 moved/);
+
+  const state = readData('microblog-books-state.json');
+  assert.deepEqual(state.books['breakneck|dan wang'], { id: 5001, status: 'finished', bookshelfId: 103, isbn: '9781324106036' });
+  assert.equal(state.books['the design of everyday things|don norman'].bookshelfId, 102);
+});
+
+test('syncBooks moves a synced book when its status changes', async () => {
+  resetData();
+  writeData('microblog-books-state.json', {
+    books: {
+      'breakneck|dan wang': { id: 77, status: 'reading', bookshelfId: 101 },
+      'the design of everyday things|don norman': { id: 78, status: 'want-to-read', bookshelfId: 102 }
+    }
+  });
+
+  assert.match(await syncBooks.syncBooks(), /0 books added, 1 moved/);
+  assert.deepEqual(posts().map(r => r.url), ['https://micro.blog/books/bookshelves/103/assign']);
+  assert.equal(posts()[0].body, 'book_id=77');
+});
+
+test('syncBookmarks only posts URLs missing from state, comparing canonical forms', async () => {
+  resetData();
+  writeData('microblog-bookmarks-state.json', { syncedUrls: ['http://example.org/essay/', 'https://example.net/notes/tools'], lastSync: null });
+
+  assert.match(await syncBookmarks.syncBookmarks(), /1 bookmarks posted/);
+  assert.equal(posts().length, 1);
+  assert.equal(new URLSearchParams(posts()[0].body).get('bookmark-of'), 'https://example.com/articles/slow-software?utm_source=twitter');
+  assert.deepEqual(readData('microblog-bookmarks-state.json').syncedUrls.slice(-1), ['https://example.com/articles/slow-software']);
+});
+
+test('recordFailure backs off exponentially and gives up after MAX_ATTEMPTS', () => {
+  const failures = {};
+  const start = new Date('2026-01-01T00:00:00Z');
+  const hours = n => new Date(start.getTime() + n * 60 * 60 * 1000);
+
+  const first = retryQueue.recordFailure(failures, 'a', new Error('502 Bad Gateway'), start);
+  assert.equal(first.nextRetry, hours(5.5).toISOString());
+  assert.equal(retryQueue.shouldAttempt(failures, 'a', hours(5)), false);
+  assert.equal(retryQueue.shouldAttempt(failures, 'a', hours(6)), true);
+
+  assert.equal(retryQueue.recordFailure(failures, 'a', new Error('502'), start).nextRetry, hours(11.5).toISOString());
+  for (let i = 2; i < retryQueue.MAX_ATTEMPTS; i++) {
+    retryQueue.recordFailure(failures, 'a', new Error('502'), start);
+  }
+  assert.deepEqual(
+    { attempts: failures.a.attempts, failed: failures.a.failed, nextRetry: failures.a.nextRetry },
+    { attempts: retryQueue.MAX_ATTEMPTS, failed: true, nextRetry: null }
+  );
+  assert.equal(retryQueue.shouldAttempt(failures, 'a', hours(24 * 365)), false);
+  assert.deepEqual(retryQueue.reportFailures(failures), { waiting: 0, failed: 1 });
+
+  retryQueue.recordSuccess(failures, 'a');
+  assert.deepEqual(failures, {});
+});
+
+test('retries land on the scheduled run they are due, not the one after', () => {
+  // Cron runs every 6h on the hour; the failure is recorded a couple of
+  // minutes into the run
+  const failures = {};
+  const run = n => new Date(Date.UTC(2026, 0, 1, 6 * n, 0, 5));
+  const during = n => new Date(run(n).getTime() + 2 * 60 * 1000);
+
+  const attempts = [];
+  for (let n = 0; n < 20 && !failures.a?.failed; n++) {
+    if (!retryQueue.shouldAttempt(failures, 'a', run(n))) continue;
+    attempts.push(n);
+    retryQueue.recordFailure(failures, 'a', new Error('502'), during(n));
+  }
+
+  // Waits of 1, 2, 4 and 8 runs
+  assert.deepEqual(attempts, [0, 1, 3, 7, 15]);
+});
+
+test('pruneFailures forgets items that are no longer pending', () => {
+  const failures = { a: { attempts: 1 }, b: { attempts: 2 } };
+  retryQueue.pruneFailures(failures, ['b']);
+  assert.deepEqual(Object.keys(failures), ['b']);
+});
+
+test('syncBookmarks skips a bookmark until its retry is due and clears it once posted', async () => {
+  resetData();
+  const url = 'https://example.com/articles/slow-software';
+  const synced = ['http://example.org/essay/', 'https://example.net/notes/tools'];
+  const entry = nextRetry => ({ attempts: 2, lastError: '502', lastAttempt: '2026-01-01T00:00:00.000Z', nextRetry, failed: false });
+
+  writeData('microblog-bookmarks-state.json', { syncedUrls: synced, failures: { [url]: entry('2999-01-01T00:00:00.000Z') } });
+  assert.match(await syncBookmarks.syncBookmarks(), /0 bookmarks posted, 1 waiting to retry/);
+  assert.equal(posts().length, 0);
+
+  writeData('microblog-bookmarks-state.json', { syncedUrls: synced, failures: { [url]: entry('2000-01-01T00:00:00.000Z') } });
+  assert.match(await syncBookmarks.syncBookmarks(), /^1 bookmarks posted$/);
+  assert.deepEqual(readData('microblog-bookmarks-state.json').failures, {});
+});
+
+test('bookmark reconcile adds what micro.blog has and keeps bookmarks deleted there', async () => {
+  resetData();
+  const state = await syncBookmarks.reconcileState({ syncedUrls: ['https://example.net/notes/tools'] });
+  assert.deepEqual(state.syncedUrls, ['https://example.net/notes/tools', 'https://example.org/essay', 'https://example.com/something-else']);
+});
+
+test('bookmark reconcile refuses to work from a partial q=source list', async (t) => {
+  t.after(() => setFetch(fixtureFetch));
+  const page = offset => Array.from({ length: 100 }, (_, i) => ({ properties: { 'bookmark-of': [`https://example.com/${offset + i}`] } }));
+  const source = pageFor => async url => new Response(JSON.stringify({ items: pageFor(Number(new URL(url).searchParams.get('offset'))) }));
+  const state = () => ({ syncedUrls: ['https://example.net/notes/tools'] });
+
+  // More pages than the cap
+  setFetch(source(offset => page(offset)));
+  await assert.rejects(syncBookmarks.reconcileState(state()), /still had more posts after 50 pages/);
+
+  // offset ignored: the first page over and over
+  setFetch(source(() => page(0)));
+  await assert.rejects(syncBookmarks.reconcileState(state()), /same posts again at offset 100/);
+});
+
+test('book reconcile matches shelf entries by title and records their shelf', async () => {
+  resetData();
+  const books = [
+    { title: 'Breakneck', author: 'Dan Wang', status: 'finished' },
+    { title: 'Piranesi', author: 'Susanna Clarke', status: 'reading' }
+  ];
+  const state = { books: { 'piranesi|susanna clarke': { id: 9, status: 'reading', bookshelfId: 101 } } };
+
+  await syncBooks.reconcileState(state, books, { 'want-to-read': 102, 'reading': 101, 'finished': 103, 'abandoned': null });
+  assert.deepEqual(state.books, {
+    'breakneck|dan wang': { id: 4001, status: 'reading', bookshelfId: 101, isbn: null },
+    // Not found on a shelf: kept, so it isn't added a second time
+    'piranesi|susanna clarke': { id: 9, status: 'reading', bookshelfId: 101 }
+  });
+});
+
+test('book reconcile matches by ISBN before title', async (t) => {
+  t.after(() => setFetch(fixtureFetch));
+  setFetch(async url => new Response(JSON.stringify({
+    items: url.endsWith('/103') ? [{ id: 7001, title: 'The Design of Everyday Things — Revised and Expanded Edition', isbn: '9780465050659' }] : []
+  })));
+
+  const books = [{ title: 'The Design of Everyday Things', author: 'Don Norman', status: 'finished' }];
+  const state = { books: { 'the design of everyday things|don norman': { id: null, status: 'want-to-read', bookshelfId: 102, isbn: '9780465050659' } } };
+
+  await syncBooks.reconcileState(state, books, { 'want-to-read': 102, 'reading': 101, 'finished': 103, 'abandoned': null });
+  assert.deepEqual(state.books['the design of everyday things|don norman'], { id: 7001, status: 'finished', bookshelfId: 103, isbn: '9780465050659' });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { feedItems, toAtom, toJsonFeed } = require('../lib/syndication');
+
+const site = {
+  name: 'Sophie Davis',
+  url: 'https://sophiedavis.org',
+  feeds: {
+    all: { title: 'Everything' },
+    now: { title: 'Now', page: 'now.html' },
+    bookmarks: { title: 'Bookmarks', page: 'media.html' },
+    reading: { title: 'Reading', page: 'media.html' }
+  }
+};
+
+const data = {
+  microblog: { posts: [{ id: 'http://sophiealula.micro.blog/2026/01/05/jan.html', url: 'https://sophiealula.micro.blog/2026/01/05/jan.html', date: '2026-01-05T16:00:00+00:00', content: '<p>Now & <script>then</script></p>' }] },
+  writing: { posts: [{ id: 'w1', slug: 'post', title: 'Not published', date: '2026-02-01T00:00:00Z', content: '' }] },
+  bookmarks: {
+    bookmarks: [
+      { url: 'https://Example.com/essay/?utm_source=x', title: 'An <essay>', note: 'Worth it', date: '2026-01-04T00:00:00Z' },
+      { url: 'https://example.org/', title: 'Older', date: '2026-01-01T00:00:00Z' }
+    ]
+  },
+  reading: {
+    books: [{ title: 'Breakneck', author: 'Dan Wang', status: 'finished', startedAt: '2026-01-02T00:00:00Z', finishedAt: '2026-01-06T00:00:00Z' }]
+  },
+  listening: {}
+};
+
+test('feed item ids come from the source, not the build', () => {
+  const ids = feedItems(site, 'bookmarks', data).map(item => item.id);
+  assert.deepEqual(ids, [
+    'tag:sophiedavis.org,2026:bookmarks/https://example.com/essay',
+    'tag:sophiedavis.org,2026:bookmarks/https://example.org/'
+  ]);
+
+  const reordered = { ...data, bookmarks: { bookmarks: [...data.bookmarks.bookmarks].reverse() } };
+  assert.deepEqual(feedItems(site, 'bookmarks', reordered).map(item => item.id), ids);
+});
+
+test('reading has an item per book event', () => {
+  assert.deepEqual(feedItems(site, 'reading', data).map(item => [item.title, item.id]), [
+    ['Finished: Breakneck by Dan Wang', 'tag:sophiedavis.org,2026:reading/breakneck%7Cdan%20wang/finished'],
+    ['Started reading: Breakneck by Dan Wang', 'tag:sophiedavis.org,2026:reading/breakneck%7Cdan%20wang/started']
+  ]);
+});
+
+test('the all feed merges the streams listed in site.json, newest first', () => {
+  const items = feedItems(site, 'all', data);
+  assert.deepEqual(items.map(item => item.tags[0]), ['reading', 'now', 'bookmarks', 'reading', 'bookmarks']);
+  assert.equal(items.some(item => item.title === 'Not published'), false);
+  assert.equal(items[1].url, 'https://sophiealula.micro.blog/2026/01/05/jan.html');
+});
+
+test('Now items link to the post itself, not its position in the archive', () => {
+  const post = (id, date) => ({ id, url: id.replace('http:', 'https:'), date, content: '<p>Now</p>' });
+  const one = [post('http://sophiealula.micro.blog/2026/01/05/a.html', '2026-01-05T09:00:00+00:00')];
+  const two = [post('http://sophiealula.micro.blog/2026/01/05/b.html', '2026-01-05T18:00:00+00:00'), ...one];
+
+  const link = posts => feedItems(site, 'now', { ...data, microblog: { posts } }).find(item => item.id === one[0].id).url;
+  assert.equal(link(two), link(one));
+});
+
+test('toAtom escapes titles and content', () => {
+  const atom = toAtom(site, 'bookmarks', feedItems(site, 'bookmarks', data));
+  assert.match(atom, /<title>An &lt;essay&gt;<\/title>/);
+  assert.match(atom, /<content type="html">&lt;p&gt;Worth it&lt;\/p&gt;<\/content>/);
+  assert.match(atom, /<link rel="self" href="https:\/\/sophiedavis\.org\/feeds\/bookmarks\.xml"\/>/);
+});
+
+test('toJsonFeed sanitizes post HTML', () => {
+  const feed = JSON.parse(toJsonFeed(site, 'now', feedItems(site, 'now', data)));
+  assert.equal(feed.feed_url, 'https://sophiedavis.org/feeds/now.json');
+  assert.equal(feed.items[0].content_html, '<p>Now & </p>');
+});